@@ -0,0 +1,67 @@
+/**
+ * Compare per-rule matching with combined matching on grammar with 100+ rules.
+ *
+ * Usage: node benchmark/combined-matching.js
+ */
+var Lexer = require('../index.js');
+
+var KEYWORD_COUNT = 120;
+var REPEAT = 3;
+
+function createLexer(combinedMatching) {
+  var lexer = new Lexer();
+  lexer.setCombinedMatching(combinedMatching);
+
+  lexer.addDefinition('DIGIT', /[0-9]/);
+  lexer.addDefinition('ID', /[a-z_][a-z0-9_]*/);
+
+  for (var i = 0; i < KEYWORD_COUNT; i++) {
+    lexer.addRule('keyword' + i, function () { return 'KEYWORD'; });
+  }
+  lexer.addRule(/{DIGIT}+\.{DIGIT}+/, function () { return 'FLOAT'; });
+  lexer.addRule(/{DIGIT}+/, function () { return 'INT'; });
+  lexer.addRule(/{ID}/, function () { return 'ID'; });
+  lexer.addRule(/"[^"\n]*"/, function () { return 'STRING'; });
+  lexer.addRule(/[-+*/=<>!]=?/, function () { return 'OPERATOR'; });
+  lexer.addRule(/[(){};,]/, function () { return 'PUNCTUATION'; });
+  lexer.addRule(/\/\/.*$/);
+  lexer.addRule(/\s+/);
+
+  return lexer;
+}
+
+function createSource() {
+  var lines = [];
+  for (var i = 0; i < 5000; i++) {
+    lines.push(
+      'keyword' + (i % KEYWORD_COUNT) + ' (value_' + i + ' >= ' + i + '.5) {' +
+      ' call("text", ' + i + '); } // comment ' + i
+    );
+  }
+  return lines.join('\n');
+}
+
+function run(combinedMatching, source) {
+  var lexer = createLexer(combinedMatching);
+  var best = Infinity;
+  var count;
+
+  for (var i = 0; i < REPEAT; i++) {
+    lexer.setSource(source);
+    var start = Date.now();
+    count = lexer.lexAll().length;
+    best = Math.min(best, Date.now() - start);
+  }
+
+  return { time: best, count: count };
+}
+
+var source = createSource();
+var perRule = run(false, source);
+var combined = run(true, source);
+
+console.log('rules:    ' + createLexer(true).rules.INITIAL.length);
+console.log('input:    ' + source.length + ' chars, ' + combined.count + ' tokens');
+console.log('per-rule: ' + perRule.time + ' ms');
+console.log('combined: ' + combined.time + ' ms');
+console.log('speedup:  ' + (perRule.time / combined.time).toFixed(1) + 'x');
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+var Cli = require('../src/Cli.js');
+
+process.exitCode = new Cli().run(process.argv.slice(2));
@@ -1 +1,8 @@
-module.exports = require('./src/Lexer.js');
+var Lexer = require('./src/Lexer.js');
+
+Lexer.SpecParser = require('./src/SpecParser.js');
+Lexer.Generator = require('./src/Generator.js');
+Lexer.LexerStream = require('./src/LexerStream.js');
+Lexer.createLexerStream = Lexer.LexerStream.createLexerStream;
+
+module.exports = Lexer;
@@ -0,0 +1,251 @@
+var fs = require('fs');
+var path = require('path');
+var Lexer = require('./Lexer');
+var SpecParser = require('./SpecParser');
+
+/**
+ * Command line interface running lexer over files.
+ *
+ * Exit code is 0 on success, 1 on lexical errors and 2 on invalid usage or
+ * grammar.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.stdout]  Writable stream for tokens, default is process.stdout.
+ * @param {Object} [options.stderr]  Writable stream for errors, default is process.stderr.
+ * @param {*}      [options.stdin]   File descriptor or path to read standard input from.
+ *
+ * @class Cli
+ */
+function Cli(options) {
+  options = options || {};
+
+  this.stdout = options.stdout || process.stdout;
+  this.stderr = options.stderr || process.stderr;
+  this.stdin = options.stdin !== undefined ? options.stdin : 0;
+  this.formats = ['text', 'json', 'echo'];
+  this.specExtensions = ['.l', '.lex', '.flex'];
+}
+
+/**
+ * Usage text.
+ *
+ * @const
+ * @public
+ */
+Cli.USAGE = [
+  'Usage: flex-js [options] <grammar> [file...]',
+  '',
+  'Run lexer defined by grammar over files or standard input and print tokens.',
+  'Grammar is specification file (.l, .lex, .flex) or module exporting lexer',
+  'instance, lexer class or function returning lexer.',
+  '',
+  'Options:',
+  '  -f, --format <format>  Output format: text (default), json (JSON lines)',
+  '                         or echo (output of echo actions).',
+  '  -n, --nodefault        Report unmatched input as errors instead of echoing it,',
+  '                         unmatched input is always reported in text and json.',
+  '  -h, --help             Show this help.',
+  ''
+].join('\n');
+
+/**
+ * Run command.
+ *
+ * @param {string[]} args  Command line arguments without node and script path.
+ *
+ * @return {number} Exit code.
+ *
+ * @public
+ */
+Cli.prototype.run = function (args) {
+  var options;
+  var lexer;
+
+  try {
+    options = this.parseArgs(args);
+    if (options.help) {
+      this.stdout.write(Cli.USAGE);
+      return 0;
+    }
+    lexer = this.loadLexer(options.grammar);
+  } catch (error) {
+    this.stderr.write('flex-js: ' + error.message + '\n');
+    return 2;
+  }
+
+  var LexerClass = lexer.constructor;
+
+  if (options.format === 'echo') {
+    lexer.setOutput(this.stdout);
+  } else {
+    // echoed text would break token output, so unmatched text is reported
+    lexer.setOutput(function () {});
+    lexer.setStructuredTokens(true);
+    lexer.on('defaultRule', function (text) {
+      this.reportError('Unexpected character ' + JSON.stringify(text));
+    });
+  }
+
+  if (options.noDefault) {
+    lexer.setNoDefault(true);
+    lexer.setRecovery(LexerClass.RECOVERY_SKIP_CHAR);
+  }
+
+  var files = options.files.length ? options.files : ['-'];
+  var errorCount = 0;
+
+  for (var i = 0; i < files.length; i++) {
+    var text;
+    try {
+      text = fs.readFileSync(files[i] === '-' ? this.stdin : files[i], 'utf8');
+    } catch (error) {
+      this.stderr.write('flex-js: ' + error.message + '\n');
+      return 2;
+    }
+    try {
+      errorCount += this.lexFile(lexer, files[i] === '-' ? undefined : files[i], text, options.format);
+    } catch (error) {
+      this.stderr.write('flex-js: ' + (error.stack || error.message) + '\n');
+      return 2;
+    }
+  }
+
+  return errorCount ? 1 : 0;
+};
+
+/**
+ * Parse command line arguments.
+ *
+ * @param {string[]} args
+ *
+ * @return {Object} Options.
+ *
+ * @private
+ */
+Cli.prototype.parseArgs = function (args) {
+  var options = { format: 'text', noDefault: false, help: false, grammar: undefined, files: [] };
+  var positional = [];
+
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg === '--') {
+      positional = positional.concat(args.slice(i + 1));
+      break;
+    } else if (arg === '-f' || arg === '--format') {
+      options.format = args[++i];
+    } else if (arg.indexOf('--format=') === 0) {
+      options.format = arg.substr(9);
+    } else if (arg === '-n' || arg === '--nodefault') {
+      options.noDefault = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.charAt(0) === '-' && arg !== '-') {
+      throw new Error('Unknown option "' + arg + '"');
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (options.help) {
+    return options;
+  }
+  if (this.formats.indexOf(options.format) === -1) {
+    throw new Error('Unsupported format "' + options.format + '"');
+  }
+  if (!positional.length) {
+    throw new Error('Missing grammar\n\n' + Cli.USAGE);
+  }
+
+  options.grammar = positional[0];
+  options.files = positional.slice(1);
+
+  return options;
+};
+
+/**
+ * Load lexer from specification file or module.
+ *
+ * @param {string} grammar  Path to grammar.
+ *
+ * @return {Lexer}
+ *
+ * @private
+ */
+Cli.prototype.loadLexer = function (grammar) {
+  var file = path.resolve(grammar);
+
+  if (this.specExtensions.indexOf(path.extname(file)) !== -1) {
+    return new SpecParser().parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  var exported = require(file);
+  if (exported && typeof exported === 'object' && typeof exported.lex !== 'function' && exported.default) {
+    exported = exported.default;
+  }
+
+  var lexer = exported;
+  if (typeof exported === 'function') {
+    lexer = exported.prototype && typeof exported.prototype.lex === 'function'
+      ? new exported()
+      : exported(Lexer);
+  }
+
+  if (!lexer || typeof lexer.lex !== 'function') {
+    throw new Error('Grammar module "' + grammar + '" should export lexer, lexer class or function returning lexer');
+  }
+
+  return lexer;
+};
+
+/**
+ * Lex file and print tokens and errors.
+ *
+ * @param {Lexer}  lexer
+ * @param {string} [name]  File name.
+ * @param {string} text
+ * @param {string} format
+ *
+ * @return {number} Number of errors.
+ *
+ * @private
+ */
+Cli.prototype.lexFile = function (lexer, name, text, format) {
+  var LexerClass = lexer.constructor;
+  var token;
+
+  lexer.reset();
+  lexer.setSource(text, name);
+
+  try {
+    while ((token = lexer.lex()) !== LexerClass.EOF && token !== LexerClass.NEED_INPUT) {
+      if (format === 'json') {
+        this.stdout.write(JSON.stringify(token) + '\n');
+      } else if (format === 'text') {
+        this.stdout.write(this.formatToken(token) + '\n');
+      }
+    }
+  } catch (error) {
+    // thrown lexical error is in diagnostics already
+    if (error.name !== 'LexerError') {
+      throw error;
+    }
+  }
+
+  lexer.diagnostics.forEach(function (error) {
+    this.stderr.write(error.message + '\n' + error.snippet + '\n');
+  }, this);
+
+  return lexer.diagnostics.length;
+};
+
+/**
+ * @private
+ */
+Cli.prototype.formatToken = function (token) {
+  return (token.buffer !== undefined ? token.buffer + ':' : '')
+    + token.line + ':' + token.column + '\t'
+    + (typeof token.type === 'string' ? token.type : JSON.stringify(token.type)) + '\t'
+    + JSON.stringify(token.text);
+};
+
+module.exports = Cli;
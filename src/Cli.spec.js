@@ -0,0 +1,105 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Cli = require('./Cli');
+
+describe('Cli', function() {
+  var dir;
+
+  function createOutput() {
+    return {
+      text: '',
+      write: function (chunk) {
+        this.text += chunk;
+      }
+    };
+  }
+
+  function run(args, stdin) {
+    var stdout = createOutput();
+    var stderr = createOutput();
+    var stdinFile = path.join(dir, 'stdin.txt');
+    fs.writeFileSync(stdinFile, stdin || '');
+    var code = new Cli({ stdout: stdout, stderr: stderr, stdin: stdinFile }).run(args);
+    return { code: code, stdout: stdout.text, stderr: stderr.text };
+  }
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flex-js-'));
+    fs.writeFileSync(path.join(dir, 'numbers.l'), [
+      '%%',
+      '[0-9]+    return \'NUMBER\';',
+      '[a-z]+    lexer.echo();',
+      '[ \\t\\n]+ ;',
+      '%%'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'words.js'), [
+      'module.exports = function (Lexer) {',
+      '  var lexer = new Lexer();',
+      '  lexer.addRule(/[a-z]+/, function () { return \'WORD\'; });',
+      '  lexer.addRule(/\\s+/);',
+      '  return lexer;',
+      '};'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'input.txt'), '12 ab\n3');
+  });
+
+  after(function() {
+    fs.readdirSync(dir).forEach(function (file) {
+      fs.unlinkSync(path.join(dir, file));
+    });
+    fs.rmdirSync(dir);
+  });
+
+  it('#run() should print tokens as text', function() {
+    var input = path.join(dir, 'input.txt');
+    var result = run([path.join(dir, 'numbers.l'), input]);
+    expect(result.code).to.equal(0);
+    expect(result.stdout).to.equal(
+      input + ':1:1\tNUMBER\t"12"\n' +
+      input + ':2:1\tNUMBER\t"3"\n'
+    );
+  });
+
+  it('#run() should print tokens as JSON lines and echo output', function() {
+    var result = run(['--format', 'json', path.join(dir, 'words.js')], 'ab');
+    expect(result.code).to.equal(0);
+    expect(result.stdout.trim().split('\n').map(JSON.parse)).to.eql([
+      { type: 'WORD', value: 'ab', text: 'ab', start: 0, end: 2, line: 1, column: 1, state: 'INITIAL', stateStack: [] }
+    ]);
+
+    result = run(['-f', 'echo', path.join(dir, 'numbers.l')], '12 ab cd-');
+    expect(result.code).to.equal(0);
+    expect(result.stdout).to.equal('abcd-');
+  });
+
+  it('#run() should exit with non-zero code on errors', function() {
+    var result = run(['-n', path.join(dir, 'words.js')], 'ab 1 c2');
+    expect(result.code).to.equal(1);
+    expect(result.stdout).to.equal('1:1\tWORD\t"ab"\n1:6\tWORD\t"c"\n');
+    expect(result.stderr).to.equal(
+      'Unexpected character "1" at line 1, column 4\nab 1 c2\n   ^\n' +
+      'Unexpected character "2" at line 1, column 7\nab 1 c2\n      ^\n'
+    );
+
+    // unmatched input is echoed by default rule only in echo format
+    result = run([path.join(dir, 'words.js')], 'ab 1\n');
+    expect(result.code).to.equal(1);
+    expect(result.stdout).to.equal('1:1\tWORD\t"ab"\n');
+    expect(result.stderr).to.equal('Unexpected character "1" at line 1, column 4\nab 1\n   ^\n');
+
+    result = run(['-f', 'echo', path.join(dir, 'words.js')], 'ab 1');
+    expect(result.code).to.equal(0);
+    expect(result.stdout).to.equal('1');
+
+    result = run(['--format=xml', path.join(dir, 'words.js')]);
+    expect(result.code).to.equal(2);
+    expect(result.stderr).to.equal('flex-js: Unsupported format "xml"\n');
+
+    result = run([path.join(dir, 'missing.l')]);
+    expect(result.code).to.equal(2);
+  });
+});
@@ -0,0 +1,322 @@
+/**
+ * Generator of standalone scanner modules.
+ *
+ * Generated module contains lexer runtime and configuration of given lexer
+ * with precompiled rules, so it doesn't depend on FLEX.JS.
+ *
+ * Actions are serialized with their source code, so they should not use
+ * variables from outer scope besides ones provided with "code" option.
+ *
+ * Only scanning runtime is generated: public scanning methods, actions and
+ * methods they use. Configuration methods (rules are precompiled) and tools
+ * like analyze(), relex(), toJSON() or saveState() are not included unless
+ * actions call them.
+ *
+ * @class Generator
+ */
+function Generator() {
+  this.formats = ['commonjs', 'esm'];
+  this.runtimeMethods = [
+    'reset', 'clear', 'setSource', 'write', 'endInput', 'setReader',
+    'lex', 'lexAll', 'iterator', 'lexAsync', 'asyncIterator', 'peek', 'pushBack',
+    'on', 'off', 'setOutput', 'getOutput', 'setWrap', 'setDebugEnabled',
+    'setStructuredTokens', 'setNoDefault', 'setErrorHandler', 'setRecovery', 'setErrorToken',
+    'discard', 'echo', 'begin', 'reject', 'more', 'less', 'unput', 'input', 'terminate',
+    'restart', 'pushState', 'topState', 'popState', 'switchState', 'pushBuffer', 'popBuffer'
+  ];
+}
+
+/**
+ * Generate scanner module source code.
+ *
+ * @param {Lexer}  lexer               Configured lexer.
+ * @param {Object} [options]
+ * @param {string} [options.format]    Module format: "commonjs" (default) or "esm".
+ * @param {string} [options.code]      Code shared by actions, added before runtime.
+ *
+ * @return {string} Module source code.
+ *
+ * @public
+ */
+Generator.prototype.generate = function (lexer, options) {
+  options = options || {};
+
+  var format = options.format || 'commonjs';
+  if (this.formats.indexOf(format) === -1) {
+    throw new Error('Unsupported module format "' + format + '"');
+  }
+
+  var lines = [
+    '/* Generated by FLEX.JS. Do not edit. */',
+    ''
+  ];
+
+  if (options.code) {
+    lines.push(options.code, '');
+  }
+
+  lines.push(this.generateRuntime(lexer, options.code), '');
+  lines.push(this.generateConfig(lexer), '');
+
+  if (format === 'esm') {
+    lines.push('export default Lexer;');
+  } else {
+    lines.push('module.exports = Lexer;');
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * @private
+ */
+Generator.prototype.generateRuntime = function (lexer, code) {
+  var Lexer = lexer.constructor;
+  var methods = this.getRuntimeMethods(lexer, code);
+  var lines = [
+    Lexer.LexerError.toString(),
+    'LexerError.prototype = Object.create(Error.prototype);',
+    'LexerError.prototype.constructor = LexerError;',
+    '',
+    Lexer.toString(),
+    'Lexer.LexerError = LexerError;'
+  ];
+
+  Object.keys(Lexer).forEach(function (name) {
+    if (typeof Lexer[name] !== 'function') {
+      lines.push('Lexer.' + name + ' = ' + JSON.stringify(Lexer[name]) + ';');
+    }
+  });
+
+  methods.forEach(function (name) {
+    lines.push('Lexer.prototype.' + name + ' = ' + this.generateFunction(Lexer.prototype[name], name) + ';');
+  }, this);
+
+  if (methods.indexOf('iterator') !== -1) {
+    lines.push(
+      'if (typeof Symbol !== \'undefined\' && Symbol.iterator) {',
+      '  Lexer.prototype[Symbol.iterator] = Lexer.prototype.iterator;',
+      '}'
+    );
+  }
+
+  if (methods.indexOf('asyncIterator') !== -1) {
+    lines.push(
+      'if (typeof Symbol !== \'undefined\' && Symbol.asyncIterator) {',
+      '  Lexer.prototype[Symbol.asyncIterator] = Lexer.prototype.asyncIterator;',
+      '}'
+    );
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Get names of lexer methods used by scanner.
+ *
+ * Methods are collected from runtime methods, actions and shared code and
+ * then from methods they call, so unused features are not generated.
+ *
+ * @param {Lexer}  lexer
+ * @param {string} [code]  Code shared by actions.
+ *
+ * @return {string[]} Method names in prototype order.
+ *
+ * @private
+ */
+Generator.prototype.getRuntimeMethods = function (lexer, code) {
+  var Lexer = lexer.constructor;
+  var names = Object.getOwnPropertyNames(Lexer.prototype).filter(function (name) {
+    return name !== 'constructor' && typeof Lexer.prototype[name] === 'function';
+  });
+
+  var hasDeclarations = false;
+  var sources = [Lexer.toString(), code || ''];
+  for (var state in lexer.rules) {
+    lexer.rules[state].forEach(function (rule) {
+      if (rule.action) {
+        sources.push(rule.action.toString());
+      }
+      if (rule.declaration) {
+        hasDeclarations = true;
+        if (typeof rule.declaration.value === 'function') {
+          sources.push(rule.declaration.value.toString());
+        }
+      }
+    });
+  }
+
+  // features which are not used by grammar
+  var unused = ['setCombinedMatching'];
+  if (!hasDeclarations) {
+    unused.push('applyDeclaration', 'transformValue');
+  }
+  if (lexer.combinedMatching) {
+    unused.push('matchRules');
+  } else {
+    unused.push('matchCombinedRules', 'createMatcher', 'pickMatch', 'canMatchChar');
+  }
+
+  var used = [];
+  var use = function (name) {
+    if (names.indexOf(name) !== -1 && unused.indexOf(name) === -1 && used.indexOf(name) === -1) {
+      used.push(name);
+      sources.push(Lexer.prototype[name].toString());
+    }
+  };
+
+  this.runtimeMethods.forEach(use);
+  // sources grow while methods are found
+  for (var i = 0; i < sources.length; i++) {
+    var references = sources[i].match(/\.[A-Za-z_$][\w$]*/g) || [];
+    references.forEach(function (reference) {
+      use(reference.substr(1));
+    });
+  }
+
+  return names.filter(function (name) {
+    return used.indexOf(name) !== -1;
+  });
+};
+
+/**
+ * @private
+ */
+Generator.prototype.generateConfig = function (lexer) {
+  var rules = [];
+  var stateRules = {};
+
+  for (var state in lexer.rules) {
+    stateRules[state] = lexer.rules[state].map(function (rule) {
+      var index = rules.indexOf(rule);
+      if (index === -1) {
+        index = rules.push(rule) - 1;
+      }
+      return index;
+    });
+  }
+
+  var states = {};
+  for (var name in lexer.states) {
+    states[name] = lexer.states[name].exclusive;
+  }
+
+  var definitions = {};
+  for (var name in lexer.definitions) {
+    definitions[name] = lexer.definitions[name];
+  }
+
+  return [
+    'var STATES = ' + JSON.stringify(states) + ';',
+    'var DEFINITIONS = ' + JSON.stringify(definitions) + ';',
+    'var RULES = [',
+    rules.map(this.generateRule, this).join(',\n'),
+    '];',
+    'var STATE_RULES = ' + JSON.stringify(stateRules) + ';',
+    'var OPTIONS = ' + this.generateOptions({
+      ignoreCase: lexer.ignoreCase,
+      debugEnabled: lexer.debugEnabled,
+      combinedMatching: lexer.combinedMatching,
+      structuredTokens: lexer.structuredTokens,
+      noDefault: lexer.noDefault,
+      maxTokenLength: lexer.maxTokenLength,
+      errorHandler: lexer.errorHandler,
+      recovery: lexer.recovery,
+      errorToken: lexer.errorToken
+    }) + ';',
+    '',
+    '// configuration is restored on each clear()',
+    'var clear = Lexer.prototype.clear;',
+    'Lexer.prototype.clear = function () {',
+    '  clear.call(this);',
+    '  if (this.grammar) {',
+    '    return;',
+    '  }',
+    '  for (var name in STATES) {',
+    '    this.addState(name, STATES[name]);',
+    '  }',
+    '  for (var name in DEFINITIONS) {',
+    '    this.definitions[name] = DEFINITIONS[name];',
+    '  }',
+    '  for (var state in STATE_RULES) {',
+    '    this.rules[state] = STATE_RULES[state].map(function (index) {',
+    '      return RULES[index];',
+    '    });',
+    '  }',
+    '  for (var option in OPTIONS) {',
+    '    this[option] = OPTIONS[option];',
+    '  }',
+    '  this.setDebugEnabled(this.debugEnabled);',
+    '};'
+  ].join('\n');
+};
+
+/**
+ * @private
+ */
+Generator.prototype.generateRule = function (rule) {
+  var props = Object.keys(rule)
+    .filter(function (key) {
+      return rule[key] !== undefined;
+    })
+    .map(function (key) {
+      return '    ' + key + ': ' + this.generateValue(rule[key], key);
+    }, this);
+
+  return '  {\n' + props.join(',\n') + '\n  }';
+};
+
+/**
+ * Generate options, error handler and recovery could be functions or expressions.
+ *
+ * @private
+ */
+Generator.prototype.generateOptions = function (options) {
+  var props = Object.keys(options)
+    .filter(function (key) {
+      return options[key] !== undefined;
+    })
+    .map(function (key) {
+      return '  ' + key + ': ' + this.generateValue(options[key], key);
+    }, this);
+
+  return '{\n' + props.join(',\n') + '\n}';
+};
+
+/**
+ * @private
+ */
+Generator.prototype.generateValue = function (value, name) {
+  if (value instanceof RegExp) {
+    return '/' + value.source + '/' + value.flags;
+  }
+  if (typeof value === 'function') {
+    return this.generateFunction(value, name);
+  }
+  if (name === 'declaration' && value) {
+    // declaration could contain value transform function
+    return '{ ' + Object.keys(value).map(function (key) {
+      return key + ': ' + this.generateValue(value[key], key);
+    }, this).join(', ') + ' }';
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * @private
+ */
+Generator.prototype.generateFunction = function (fn, name) {
+  var source = fn.toString();
+  if (/\{\s*\[native code\]\s*\}$/.test(source)) {
+    throw new Error('Unable to generate native or bound function "' + name + '"');
+  }
+  // method shorthand like "{ action(lexer) {} }" is not valid expression
+  try {
+    new Function('return (' + source + '\n);');
+  } catch (error) {
+    throw new Error('Unable to generate method shorthand function "' + name + '", use function expression');
+  }
+  return source;
+};
+
+module.exports = Generator;
@@ -0,0 +1,139 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var Lexer = require('./Lexer');
+var Generator = require('./Generator');
+
+function load(source) {
+  var module = { exports: {} };
+  new Function('module', source)(module);
+  return module.exports;
+}
+
+describe('Generator', function() {
+  function createLexer() {
+    var lexer = new Lexer();
+    lexer.setIgnoreCase(true);
+    lexer.addState('comment', true);
+    lexer.addDefinition('DIGIT', /[0-9]/);
+    lexer.addRule(/{DIGIT}+/, function (lexer) {
+      return 'NUMBER:' + lexer.text;
+    });
+    lexer.addRule(/if|then/, function (lexer) {
+      return 'KEYWORD:' + lexer.text;
+    });
+    lexer.addRule('/*', function (lexer) {
+      lexer.begin('comment');
+    });
+    lexer.addStateRule('comment', '*/', function (lexer) {
+      lexer.begin();
+    });
+    lexer.addStateRule('comment', /./);
+    lexer.addStateRule('*', /\s+/);
+    return lexer;
+  }
+
+  it('#generate() should generate standalone scanner', function() {
+    var source = new Generator().generate(createLexer(), { code: 'var unused = 1;' });
+
+    expect(source).to.not.contain('require(');
+    expect(source).to.contain('var unused = 1;');
+
+    var GeneratedLexer = load(source);
+    var lexer = new GeneratedLexer();
+    expect(lexer.rules.INITIAL[0].expression.source).to.equal('(?:[0-9])+');
+
+    lexer.setSource('IF 12 /* 34 */ then 5');
+    expect(lexer.lexAll()).to.eql(['KEYWORD:IF', 'NUMBER:12', 'KEYWORD:then', 'NUMBER:5']);
+
+    lexer.setNoDefault(true);
+    lexer.setSource('12 @');
+    expect(function () {
+      lexer.lexAll();
+    }).to.throw(GeneratedLexer.LexerError, 'Unexpected character "@" at line 1, column 4');
+  });
+
+  it('#generate() should keep error handling options', function() {
+    var lexer = createLexer();
+    lexer.setNoDefault(true);
+    lexer.setRecovery(Lexer.RECOVERY_SKIP_CHAR);
+    var GeneratedLexer = load(new Generator().generate(lexer));
+    var generated = new GeneratedLexer();
+    generated.setSource('12 ab ? 3');
+    expect(generated.lexAll()).to.eql(['NUMBER:12', 'NUMBER:3']);
+    expect(generated.diagnostics.length).to.equal(3);
+
+    lexer.setRecovery(/\s/);
+    lexer.setErrorToken('ERROR');
+    GeneratedLexer = load(new Generator().generate(lexer));
+    generated = new GeneratedLexer();
+    generated.setSource('12 ab ? 3');
+    expect(generated.lexAll()).to.eql(['NUMBER:12', 'ERROR', 'ERROR', 'NUMBER:3']);
+
+    lexer.setRecovery(function () {
+      return 1;
+    });
+    lexer.setErrorToken(undefined);
+    lexer.setErrorHandler(function (error) {
+      return 'ERROR:' + error.column;
+    });
+    GeneratedLexer = load(new Generator().generate(lexer));
+    generated = new GeneratedLexer();
+    generated.setSource('12 ab ? 3');
+    expect(generated.lexAll()).to.eql(['NUMBER:12', 'ERROR:4', 'ERROR:7', 'NUMBER:3']);
+  });
+
+  it('#generate() should keep rules independent between instances', function() {
+    var GeneratedLexer = load(new Generator().generate(createLexer()));
+    var lexer1 = new GeneratedLexer();
+    var lexer2 = new GeneratedLexer();
+    lexer1.rules.INITIAL.pop();
+    expect(lexer1.rules.INITIAL.length).to.equal(lexer2.rules.INITIAL.length - 1);
+  });
+
+  it('#generate() should include only scanning runtime used by grammar', function() {
+    var lexer = new Lexer();
+    lexer.addRule(/a/, function (lexer) {
+      lexer.saveState();
+      return 'A';
+    });
+    var GeneratedLexer = load(new Generator().generate(lexer));
+    var proto = GeneratedLexer.prototype;
+
+    ['lex', 'begin', 'saveState', 'matchCombinedRules'].forEach(function (name) {
+      expect(proto).to.have.property(name);
+    });
+    ['addRule', 'analyze', 'relex', 'toJSON', 'compile', 'restoreState', 'matchRules', 'applyDeclaration'].forEach(function (name) {
+      expect(proto).to.not.have.property(name);
+    });
+
+    var generated = new GeneratedLexer();
+    generated.setSource('aa');
+    expect(generated.lexAll()).to.eql(['A', 'A']);
+  });
+
+  it('#generate() should support ES module format', function() {
+    var source = new Generator().generate(createLexer(), { format: 'esm' });
+    expect(source).to.match(/export default Lexer;\n$/);
+    expect(function () {
+      new Generator().generate(createLexer(), { format: 'amd' });
+    }).to.throw('Unsupported module format "amd"');
+  });
+
+  it('#generate() should not accept bound actions', function() {
+    var lexer = new Lexer();
+    lexer.addRule('x', function () {}.bind(null));
+    expect(function () {
+      new Generator().generate(lexer);
+    }).to.throw('Unable to generate native or bound function "action"');
+  });
+
+  it('#generate() should not accept method shorthand actions', function() {
+    var actions = new Function('return { a(lexer) { return "A"; } };')();
+    var lexer = new Lexer();
+    lexer.addRule('a', actions.a);
+    expect(function () {
+      new Generator().generate(lexer);
+    }).to.throw('Unable to generate method shorthand function "action", use function expression');
+  });
+});
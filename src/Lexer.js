@@ -1,3 +1,5 @@
+var LexerError = require('./LexerError');
+
 /**
  * FLEX.JS - FLEX-like lexer.
  *
@@ -6,6 +8,19 @@
 function Lexer() {
   this.isNode = typeof window === 'undefined';
   this.idRegExp = /[a-z_][a-z0-9_-]*/i;
+  this.declarationKeys = ['type', 'value', 'begin', 'push', 'pop', 'skip'];
+  this.valueTransforms = ['number', 'integer', 'unquote', 'trim', 'lowercase', 'uppercase'];
+  this.grammar = undefined;
+
+  // listeners are not a part of configuration, so they are kept on clear()
+  this.listeners = {
+    token: [],
+    match: [],
+    stateChange: [],
+    reject: [],
+    defaultRule: [],
+    eof: []
+  };
 
   this.clear();
 }
@@ -18,6 +33,17 @@ function Lexer() {
  */
 Lexer.EOF = 0;
 
+/**
+ * Need more input indicator.
+ *
+ * Returned by lex() when buffered input is exhausted but end of input is not reached yet.
+ * It is unique object, so it can't be confused with token returned by action.
+ *
+ * @const
+ * @public
+ */
+Lexer.NEED_INPUT = Object.freeze({ name: 'NEED_INPUT' });
+
 /**
  * Default initial inclusive state name.
  *
@@ -42,6 +68,37 @@ Lexer.STATE_ANY = '*';
  */
 Lexer.RULE_EOF = '<<EOF>>';
 
+/**
+ * Output target accumulating echoed text into string.
+ *
+ * @const
+ * @public
+ */
+Lexer.OUTPUT_STRING = 'string';
+
+/**
+ * Error recovery skipping only unmatched character.
+ *
+ * @const
+ * @public
+ */
+Lexer.RECOVERY_SKIP_CHAR = 'skip-char';
+
+/**
+ * Error recovery skipping input till the next whitespace.
+ *
+ * @const
+ * @public
+ */
+Lexer.RECOVERY_SKIP_TO_WHITESPACE = 'skip-to-whitespace';
+
+/**
+ * Error thrown for unmatched input in no default rule mode.
+ *
+ * @public
+ */
+Lexer.LexerError = LexerError;
+
 /**
  * Reset lexer state but keep configuration.
  *
@@ -49,14 +106,32 @@ Lexer.RULE_EOF = '<<EOF>>';
  */
 Lexer.prototype.reset = function () {
   this.source = '';
-  this.index = 0;
+  this.inputEnded = true;
+  this.reader = undefined;
+  this.bufferName = undefined;
+  this.bufferStack = [];
   this.text = undefined;
+  this.value = undefined;
+  this.match = null;
+  this.groups = undefined;
   this.state = Lexer.STATE_INITIAL;
+  this.matchedState = undefined;
+  this.matchedStateStack = [];
+
+  this.start = 0;
+  this.end = 0;
+  this.line = 1;
+  this.column = 1;
+  this.rewind();
 
   this.ruleIndex = undefined;
   this.readMore = false;
   this.stateStack = [];
   this.rejectedRules = [];
+  this.lookahead = [];
+  this.aheadState = undefined;
+  this.asyncMode = false;
+  this.retainedInput = undefined;
 };
 
 /**
@@ -68,14 +143,331 @@ Lexer.prototype.clear = function () {
   this.states = {};
   this.definitions = [];
   this.rules = {};
+  this.matchers = {};
   this.ignoreCase = false;
-  this.debugEnabled = false;
-
-  this.addState(Lexer.STATE_INITIAL);
+  this.setDebugEnabled(false);
+  this.combinedMatching = true;
+  this.structuredTokens = false;
+  this.noDefault = false;
+  this.maxTokenLength = 1024;
+  this.errorHandler = undefined;
+  this.recovery = undefined;
+  this.errorToken = undefined;
+  this.diagnostics = [];
+  this.wrap = undefined;
+  this.output = undefined;
+  this.outputText = '';
+
+  if (this.grammar) {
+    this.loadGrammar(this.grammar);
+  } else {
+    this.addState(Lexer.STATE_INITIAL);
+  }
 
   this.reset();
 };
 
+/**
+ * Compile lexer configuration into immutable grammar.
+ *
+ * Grammar is frozen object with states, definitions, rules and options of
+ * lexer, further changes of lexer configuration don't affect it. Scanners
+ * created with grammar.createScanner() share grammar and cache of combined
+ * expressions, but have own input, position and state, so many scanners
+ * could be used at the same time. States, definitions and rules of such
+ * scanners could not be changed.
+ *
+ * @return {Object} Grammar.
+ *
+ * @public
+ */
+Lexer.prototype.compile = function () {
+  var states = {};
+  for (var name in this.states) {
+    states[name] = Object.freeze({ name: name, exclusive: this.states[name].exclusive });
+  }
+
+  var definitions = {};
+  for (var name in this.definitions) {
+    definitions[name] = this.definitions[name];
+  }
+
+  // rule added into many states is copied once
+  var originals = [];
+  var copies = [];
+  var rules = {};
+  for (var state in this.rules) {
+    rules[state] = Object.freeze(this.rules[state].map(function (rule) {
+      var index = originals.indexOf(rule);
+      if (index === -1) {
+        var copy = {};
+        for (var key in rule) {
+          copy[key] = rule[key];
+        }
+        copy.definitions = Object.freeze(rule.definitions.slice());
+        if (rule.declaration) {
+          copy.declaration = {};
+          for (key in rule.declaration) {
+            copy.declaration[key] = rule.declaration[key];
+          }
+          Object.freeze(copy.declaration);
+        }
+        originals.push(rule);
+        index = copies.push(Object.freeze(copy)) - 1;
+      }
+      return copies[index];
+    }));
+  }
+
+  var grammar = {
+    states: Object.freeze(states),
+    definitions: Object.freeze(definitions),
+    rules: Object.freeze(rules),
+    options: Object.freeze({
+      ignoreCase: this.ignoreCase,
+      debugEnabled: this.debugEnabled,
+      combinedMatching: this.combinedMatching,
+      structuredTokens: this.structuredTokens,
+      noDefault: this.noDefault,
+      maxTokenLength: this.maxTokenLength,
+      errorHandler: this.errorHandler,
+      recovery: this.recovery,
+      errorToken: this.errorToken
+    }),
+    // combined expressions are derived from rules only, so they are shared too
+    matchers: {},
+    createScanner: function () {
+      var scanner = new Lexer();
+      scanner.loadGrammar(grammar);
+      return scanner;
+    }
+  };
+
+  return Object.freeze(grammar);
+};
+
+/**
+ * Use compiled grammar as configuration.
+ *
+ * @param {Object} grammar
+ *
+ * @private
+ */
+Lexer.prototype.loadGrammar = function (grammar) {
+  this.grammar = grammar;
+  this.states = grammar.states;
+  this.definitions = grammar.definitions;
+  this.rules = grammar.rules;
+  this.matchers = grammar.matchers;
+  for (var option in grammar.options) {
+    this[option] = grammar.options[option];
+  }
+  this.setDebugEnabled(this.debugEnabled);
+};
+
+/**
+ * Export lexer configuration into JSON compatible object.
+ *
+ * States, definitions, rules (including EOF rules) and options are exported.
+ * Functions (actions, value transforms of declarations, error handler and
+ * recovery function) are exported by name which is looked up in registry or
+ * taken from function name.
+ *
+ * @param {Object} [registry] Functions by name.
+ *
+ * @return {Object} Configuration.
+ *
+ * @public
+ */
+Lexer.prototype.toJSON = function (registry) {
+  // JSON.stringify() passes property name instead of registry
+  if (!registry || typeof registry !== 'object') {
+    registry = {};
+  }
+
+  var getName = function (fn, kind) {
+    if (!fn) {
+      return undefined;
+    }
+    for (var name in registry) {
+      if (registry[name] === fn) {
+        return name;
+      }
+    }
+    if (!fn.name) {
+      throw new Error('Unable to export ' + kind + ' without name, add it into registry');
+    }
+    return fn.name;
+  };
+
+  var getDeclaration = function (declaration) {
+    var result = {};
+    for (var key in declaration) {
+      result[key] = declaration[key];
+    }
+    if (typeof result.value === 'function') {
+      result.value = { name: getName(result.value, 'value transform') };
+    }
+    return result;
+  };
+
+  var states = {};
+  for (var name in this.states) {
+    states[name] = this.states[name].exclusive;
+  }
+
+  var definitions = {};
+  for (var name in this.definitions) {
+    definitions[name] = this.definitions[name];
+  }
+
+  var rules = [];
+  var stateRules = {};
+  for (var state in this.rules) {
+    stateRules[state] = this.rules[state].map(function (rule) {
+      var index = rules.indexOf(rule);
+      return index === -1 ? rules.push(rule) - 1 : index;
+    });
+  }
+
+  var recovery = this.recovery;
+  if (recovery instanceof RegExp) {
+    recovery = { source: recovery.source, flags: recovery.flags.replace('y', '') };
+  } else if (typeof recovery === 'function') {
+    recovery = { name: getName(recovery, 'recovery') };
+  }
+
+  return {
+    version: 1,
+    states: states,
+    definitions: definitions,
+    rules: rules.map(function (rule) {
+      return {
+        expression: rule.pattern instanceof RegExp
+          ? { source: rule.pattern.source, flags: rule.pattern.flags }
+          : rule.pattern,
+        action: getName(rule.action, 'action'),
+        declaration: rule.declaration && getDeclaration(rule.declaration)
+      };
+    }),
+    stateRules: stateRules,
+    options: {
+      ignoreCase: this.ignoreCase,
+      debugEnabled: this.debugEnabled,
+      combinedMatching: this.combinedMatching,
+      structuredTokens: this.structuredTokens,
+      noDefault: this.noDefault,
+      maxTokenLength: this.maxTokenLength,
+      errorHandler: getName(this.errorHandler, 'error handler'),
+      recovery: recovery,
+      errorToken: this.errorToken
+    }
+  };
+};
+
+/**
+ * Create lexer from configuration exported with toJSON().
+ *
+ * @param {Object|string} json
+ * @param {Object}        [registry] Functions by name.
+ *
+ * @return {Lexer} Configured lexer.
+ *
+ * @public
+ */
+Lexer.fromJSON = function (json, registry) {
+  if (typeof json === 'string') {
+    json = JSON.parse(json);
+  }
+  if (!json || json.version !== 1) {
+    throw new Error('Unsupported lexer configuration version');
+  }
+  registry = registry || {};
+
+  var getFunction = function (name, kind) {
+    if (name === undefined || name === null) {
+      return undefined;
+    }
+    if (typeof registry[name] !== 'function') {
+      throw new Error('Unknown ' + kind + ' "' + name + '"');
+    }
+    return registry[name];
+  };
+
+  var lexer = new Lexer();
+  var options = json.options || {};
+
+  // rules are compiled with case sensitivity option
+  lexer.setIgnoreCase(!!options.ignoreCase);
+  lexer.setDebugEnabled(!!options.debugEnabled);
+  lexer.setCombinedMatching(options.combinedMatching !== false);
+  lexer.setStructuredTokens(!!options.structuredTokens);
+  lexer.setNoDefault(!!options.noDefault);
+  if (options.maxTokenLength !== undefined) {
+    lexer.setMaxTokenLength(options.maxTokenLength);
+  }
+  lexer.setErrorHandler(getFunction(options.errorHandler, 'error handler'));
+  lexer.setErrorToken(options.errorToken === null ? undefined : options.errorToken);
+
+  var recovery = options.recovery;
+  if (recovery && typeof recovery.source === 'string') {
+    recovery = new RegExp(recovery.source, recovery.flags);
+  } else if (recovery && typeof recovery === 'object') {
+    recovery = getFunction(recovery.name, 'recovery');
+  }
+  lexer.setRecovery(recovery);
+
+  for (var name in json.states) {
+    lexer.addState(name, json.states[name]);
+  }
+  for (var name in json.definitions) {
+    lexer.definitions[name] = json.definitions[name];
+  }
+
+  var rules = json.rules.map(function (rule, index) {
+    var states = Object.keys(json.stateRules).filter(function (state) {
+      return json.stateRules[state].indexOf(index) !== -1;
+    });
+    var expression = rule.expression && typeof rule.expression === 'object'
+      ? new RegExp(rule.expression.source, rule.expression.flags)
+      : rule.expression;
+    var declaration;
+    if (rule.declaration) {
+      declaration = {};
+      for (var key in rule.declaration) {
+        declaration[key] = rule.declaration[key];
+      }
+      if (declaration.value && typeof declaration.value === 'object') {
+        declaration.value = getFunction(declaration.value.name, 'value transform');
+      }
+    }
+    return lexer.createRule(expression, declaration || getFunction(rule.action, 'action'), states);
+  });
+
+  for (var state in json.stateRules) {
+    if (!lexer.states[state]) {
+      throw new Error('State "' + state + '" is not registered');
+    }
+    lexer.rules[state] = json.stateRules[state].map(function (index) {
+      if (!rules[index]) {
+        throw new Error('Unknown rule ' + index + ' in state "' + state + '"');
+      }
+      return rules[index];
+    });
+  }
+
+  return lexer;
+};
+
+/**
+ * @private
+ */
+Lexer.prototype.assertConfigurable = function () {
+  if (this.grammar) {
+    throw new Error('Unable to change configuration of scanner created from compiled grammar');
+  }
+};
+
 /**
  * Set ignore case mode.
  *
@@ -92,7 +484,8 @@ Lexer.prototype.setIgnoreCase = function (ignoreCase) {
 /**
  * Set debug enabled.
  *
- * By default it is disabled.
+ * Matched rules are logged by listener of match hook, so debug output is
+ * ordered with other listeners. By default it is disabled.
  *
  * @param {boolean} debugEnabled
  *
@@ -100,6 +493,250 @@ Lexer.prototype.setIgnoreCase = function (ignoreCase) {
  */
 Lexer.prototype.setDebugEnabled = function (debugEnabled) {
   this.debugEnabled = debugEnabled;
+  this.off('match', this.logAccept);
+  if (debugEnabled) {
+    this.on('match', this.logAccept);
+  }
+};
+
+/**
+ * Add listener of lifecycle hook.
+ *
+ * Hooks and listener arguments:
+ * token (token) - token is returned by lex() or lexAsync(),
+ * match (rule, text) - rule is matched, called before its action,
+ * stateChange (from, to) - state is changed by begin(), pushState(), popState(),
+ *   popBuffer(), restoreState(), peek() or relex(),
+ * reject (rule, text) - matched rule is rejected by action,
+ * defaultRule (text) - unmatched text is echoed by default rule,
+ * eof (bufferName) - end of input buffer is reached.
+ *
+ * Listeners are called with lexer as this, in order they are added.
+ *
+ * @param {string}   hook
+ * @param {function} listener
+ *
+ * @public
+ */
+Lexer.prototype.on = function (hook, listener) {
+  if (!this.listeners[hook]) {
+    throw new Error('Unknown hook "' + hook + '"');
+  }
+  if (typeof listener !== 'function') {
+    throw new Error('Invalid listener: should be function');
+  }
+  this.listeners[hook].push(listener);
+};
+
+/**
+ * Remove listener of lifecycle hook.
+ *
+ * @param {string}   hook
+ * @param {function} listener
+ *
+ * @public
+ */
+Lexer.prototype.off = function (hook, listener) {
+  if (!this.listeners[hook]) {
+    throw new Error('Unknown hook "' + hook + '"');
+  }
+  var index = this.listeners[hook].indexOf(listener);
+  if (index !== -1) {
+    this.listeners[hook].splice(index, 1);
+  }
+};
+
+/**
+ * Set combined matching mode.
+ *
+ * In this mode rules without back references and named groups are matched
+ * with one combined expression per state instead of one expression per rule.
+ * Result is the same, but scanner is faster for large rule sets.
+ *
+ * By default it is enabled.
+ *
+ * @param {boolean} combinedMatching
+ *
+ * @public
+ */
+Lexer.prototype.setCombinedMatching = function (combinedMatching) {
+  this.combinedMatching = combinedMatching;
+};
+
+/**
+ * Set no default rule mode.
+ *
+ * In this mode unmatched character is not echoed, instead LexerError
+ * {@link Lexer.LexerError} is passed to error handler or thrown if there is
+ * no error handler.
+ *
+ * By default it is disabled.
+ *
+ * @param {boolean} noDefault
+ *
+ * @public
+ */
+Lexer.prototype.setNoDefault = function (noDefault) {
+  this.noDefault = noDefault;
+};
+
+/**
+ * Set maximum token length for streamed input.
+ *
+ * Until end of input is marked, match is resolved only once more than this
+ * number of characters is buffered after current position, so longer rule
+ * could not lose to shorter one because input is split into chunks. Longer
+ * tokens are held back only while they reach the end of buffered text.
+ *
+ * By default it is 1024.
+ *
+ * @param {number} maxTokenLength
+ *
+ * @public
+ */
+Lexer.prototype.setMaxTokenLength = function (maxTokenLength) {
+  if (typeof maxTokenLength !== 'number' || maxTokenLength < 0) {
+    throw new Error('Invalid max token length: should be non-negative number');
+  }
+  this.maxTokenLength = maxTokenLength;
+};
+
+/**
+ * Set error handler.
+ *
+ * Error handler is called with LexerError {@link Lexer.LexerError} and lexer
+ * instance after unmatched character is consumed. Return value of error
+ * handler is used as return value of action.
+ *
+ * @param {function} [errorHandler]
+ *
+ * @public
+ */
+Lexer.prototype.setErrorHandler = function (errorHandler) {
+  if (errorHandler && typeof errorHandler !== 'function') {
+    throw new Error('Invalid error handler: should be function or empty');
+  }
+  this.errorHandler = errorHandler;
+};
+
+/**
+ * Set error recovery.
+ *
+ * Recovery defines how much input is skipped after unmatched character in
+ * no default rule mode: RECOVERY_SKIP_CHAR {@link Lexer.RECOVERY_SKIP_CHAR},
+ * RECOVERY_SKIP_TO_WHITESPACE {@link Lexer.RECOVERY_SKIP_TO_WHITESPACE},
+ * synchronizing expression (input is skipped till the expression matches) or
+ * function returning number of characters to skip after unmatched one.
+ *
+ * Once recovery is set, errors are collected into diagnostics instead of
+ * being thrown. By default there is no recovery.
+ *
+ * @param {string|RegExp|function} [recovery]
+ *
+ * @public
+ */
+Lexer.prototype.setRecovery = function (recovery) {
+  if (recovery instanceof RegExp) {
+    recovery = new RegExp(recovery.source, recovery.flags.replace(/[gy]/g, '') + 'y');
+  } else if (recovery !== undefined
+    && recovery !== null
+    && recovery !== Lexer.RECOVERY_SKIP_CHAR
+    && recovery !== Lexer.RECOVERY_SKIP_TO_WHITESPACE
+    && typeof recovery !== 'function'
+  ) {
+    throw new Error('Invalid recovery: should be recovery constant, expression or function');
+  }
+  this.recovery = recovery || undefined;
+};
+
+/**
+ * Set error token.
+ *
+ * Once error token is set, input skipped on error is returned as this token
+ * and errors are collected into diagnostics instead of being thrown.
+ * By default there is no error token.
+ *
+ * @param {*} [errorToken]
+ *
+ * @public
+ */
+Lexer.prototype.setErrorToken = function (errorToken) {
+  this.errorToken = errorToken;
+};
+
+/**
+ * Set structured tokens mode.
+ *
+ * In this mode each token returned by action is wrapped into object with keys:
+ * type (value returned by action), value (value set by action or text), text,
+ * start, end, line, column, state (state token was matched in) and buffer.
+ *
+ * By default it is disabled.
+ *
+ * @param {boolean} structuredTokens
+ *
+ * @public
+ */
+Lexer.prototype.setStructuredTokens = function (structuredTokens) {
+  this.structuredTokens = structuredTokens;
+};
+
+/**
+ * Set output target for echo().
+ *
+ * Output could be writable stream (any object with write() method), callback
+ * function or OUTPUT_STRING {@link Lexer.OUTPUT_STRING} to accumulate output
+ * into string available via getOutput().
+ *
+ * By default it is stdout on node and console in browser.
+ *
+ * @param {Object|function|string} [output]
+ *
+ * @public
+ */
+Lexer.prototype.setOutput = function (output) {
+  if (output !== undefined
+    && output !== null
+    && output !== Lexer.OUTPUT_STRING
+    && typeof output !== 'function'
+    && (typeof output !== 'object' || typeof output.write !== 'function')
+  ) {
+    throw new Error('Invalid output: should be stream, function or string output');
+  }
+  this.output = output || undefined;
+  this.outputText = '';
+};
+
+/**
+ * Get accumulated output.
+ *
+ * @return {string} Text echoed since output was set to OUTPUT_STRING {@link Lexer.OUTPUT_STRING}.
+ *
+ * @public
+ */
+Lexer.prototype.getOutput = function () {
+  return this.outputText;
+};
+
+/**
+ * Set wrap function.
+ *
+ * Wrap function is called with lexer instance once end of input is reached
+ * and should return next source string (or object with source and name keys)
+ * to continue scanning or null to finish. <<EOF>> rules are executed only
+ * when there is no more input.
+ *
+ * By default there is no wrap function.
+ *
+ * @param {function} [wrap]
+ *
+ * @public
+ */
+Lexer.prototype.setWrap = function (wrap) {
+  if (wrap && typeof wrap !== 'function') {
+    throw new Error('Invalid wrap: should be function or empty');
+  }
+  this.wrap = wrap;
 };
 
 /**
@@ -109,18 +746,24 @@ Lexer.prototype.setDebugEnabled = function (debugEnabled) {
  * @param {boolean} [exclusive]
  */
 Lexer.prototype.addState = function (name, exclusive) {
+  this.assertConfigurable();
   this.states[name] = { name: name, exclusive: !!exclusive };
 }
 
 /**
  * Add definition.
  *
+ * Definition could reference other definitions in any order, references are
+ * expanded once definition is used by rule.
+ *
  * @param {string}        name        Definition name, case sensitive.
  * @param {string|RegExp} expression  Expression, can't use flags.
  *
  * @public
  */
 Lexer.prototype.addDefinition = function (name, expression) {
+  this.assertConfigurable();
+
   if (typeof name !== 'string' || !this.idRegExp.test(name)) {
     throw new Error('Invalid definition name "' + name + '"');
   }
@@ -152,13 +795,19 @@ Lexer.prototype.addDefinition = function (name, expression) {
  * Action return value undefined is reserved for DISCARD action.
  * Any other value could be used as return value from action as token.
  *
+ * Instead of action function declaration object could be used with keys:
+ * type (token), value (name of value transform or function), begin, push
+ * (state names), pop and skip (booleans).
+ *
  * @param {string[]|string} states      Single state or state array, case sensitive.
  * @param {string|RegExp}   expression  Expression, can use flags and definitions.
- * @param {function}        [action]    Default action is DISCARD.
+ * @param {function|Object} [action]    Default action is DISCARD.
  *
  * @public
  */
 Lexer.prototype.addStateRule = function (states, expression, action) {
+  this.assertConfigurable();
+
   if (states === undefined || states === null) {
     // convert default state into list of target states
     states = [];
@@ -199,18 +848,45 @@ Lexer.prototype.addStateRule = function (states, expression, action) {
     throw new Error('Unable to register rule within unregistered state(s): ' + notRegisteredStates.join(', '));
   }
 
-  var source;
-  var flags;
-  var fixedWidth;
+  var rule = this.createRule(expression, action, states);
 
-  if (expression === Lexer.RULE_EOF) {
-    source = null;
+  for (var index in states) {
+    var state = states[index];
+    if (!this.rules[state]) {
+      this.rules[state] = [];
+    }
+    this.rules[state].push(rule);
+  }
+
+  this.matchers = {};
+};
+
+/**
+ * Create rule.
+ *
+ * @param {string|RegExp} expression
+ * @param {function}      [action]
+ * @param {string[]}      states      Target states, used for error messages.
+ *
+ * @return {Object} Rule.
+ *
+ * @private
+ */
+Lexer.prototype.createRule = function (expression, action, states) {
+  var source;
+  var flags;
+  var fixedWidth;
+  var literal;
+
+  if (expression === Lexer.RULE_EOF) {
+    source = null;
   } else if (typeof expression === 'string') {
     if (expression.length === 0) {
       throw new Error('Empty expression for rule used in states "' + states.join(', ') + '"');
     }
     source = this.escapeRegExp(expression);
     fixedWidth = expression.length;
+    literal = expression;
     flags = '';
   } else if (expression instanceof RegExp) {
     if (expression.source === '(?:)') {
@@ -220,10 +896,10 @@ Lexer.prototype.addStateRule = function (states, expression, action) {
       var notSupportedFlags = expression.flags
         .split('')
         .filter(function (flag) {
-          return flag !== 'i' && flag !== 'u';
+          return flag !== 'i' && flag !== 'u' && flag !== 'd';
         });
       if (notSupportedFlags.length) {
-        throw new Error('Expression flags besides "i" and "u" are not supported');
+        throw new Error('Expression flags besides "i", "u" and "d" are not supported');
       }
     }
     source = expression.source;
@@ -232,45 +908,112 @@ Lexer.prototype.addStateRule = function (states, expression, action) {
     throw new Error('Invalid rule expression "' + expression + '"');
   }
 
-  if (action && typeof action !== 'function') {
-    throw new Error('Invalid rule action: should be function or empty');
+  var declaration;
+  if (action && typeof action === 'object') {
+    declaration = this.createDeclaration(action);
+    action = undefined;
+  } else if (action && typeof action !== 'function') {
+    throw new Error('Invalid rule action: should be function, declaration or empty');
   }
 
   var compiledExpression = source === null ? null : this.compileRuleExpression(source, flags);
   var hasBOL = compiledExpression === null ? null : this.isRegExpMatchBOL(compiledExpression);
   var hasEOL = compiledExpression === null ? null : this.isRegExpMatchEOL(compiledExpression);
+  var trailing = compiledExpression === null ? undefined : this.getRegExpTrailingContext(compiledExpression);
+  var definitions = source === null ? [] : this.getDefinitionReferences(source);
   var isEOF = source === null;
+  var hasGroups = compiledExpression !== null
+    && (this.countRegExpGroups(compiledExpression) > 0 || compiledExpression.flags.indexOf('d') !== -1);
 
   var rule = {
     expression: compiledExpression,
     hasBOL: hasBOL,
     hasEOL: hasEOL,
+    trailing: trailing,
     isEOF: isEOF,
     action: action,
-    fixedWidth: fixedWidth // used for weighted match optmization
+    declaration: declaration,
+    fixedWidth: fixedWidth, // used for weighted match optmization
+    literal: literal, // used for combined match optimization
+    hasGroups: hasGroups, // used to execute expression again for full match
+    definitions: definitions, // used for analysis
+    pattern: expression // used for serialization
   };
 
-  for (var index in states) {
-    var state = states[index];
-    if (!this.rules[state]) {
-      this.rules[state] = [];
+  return rule;
+};
+
+/**
+ * Create declaration of rule without action.
+ *
+ * @param {Object} declaration
+ *
+ * @return {Object} Validated declaration.
+ *
+ * @private
+ */
+Lexer.prototype.createDeclaration = function (declaration) {
+  var result = {};
+
+  Object.keys(declaration).forEach(function (key) {
+    if (this.declarationKeys.indexOf(key) === -1) {
+      throw new Error('Unknown rule declaration key "' + key + '"');
     }
-    this.rules[state].push(rule);
+    if (declaration[key] !== undefined) {
+      result[key] = declaration[key];
+    }
+  }, this);
+
+  if (result.value !== undefined
+    && typeof result.value !== 'function'
+    && this.valueTransforms.indexOf(result.value) === -1
+  ) {
+    throw new Error('Unknown value transform "' + result.value + '"');
   }
+
+  [result.begin, result.push].forEach(function (state) {
+    if (state !== undefined && !this.states[state]) {
+      throw new Error('State "' + state + '" is not registered');
+    }
+  }, this);
+
+  return result;
+};
+
+/**
+ * Get declaration keys of rule passed to addRules().
+ *
+ * @private
+ */
+Lexer.prototype.getDeclaration = function (rule) {
+  var declaration;
+  this.declarationKeys.forEach(function (key) {
+    if (rule[key] !== undefined) {
+      declaration = declaration || {};
+      declaration[key] = rule[key];
+    }
+  });
+  return declaration;
 };
 
 /**
  * Add multiple rules into one or more states at once.
  *
  * @param {string[]|string} states      Single state or state array, case sensitive.
- * @param {Array}          rules       Each item should have expression and action keys.
+ * @param {Array}          rules       Each item should have expression and either
+ *                                     action or declaration keys (type, value,
+ *                                     begin, push, pop, skip).
  *
  * @public
  */
 Lexer.prototype.addStateRules = function (states, rules) {
   for (var index in rules) {
     var rule = rules[index];
-    this.addStateRule(states, rule.expression, rule.action);
+    var declaration = this.getDeclaration(rule);
+    if (declaration && rule.action) {
+      throw new Error('Rule could have either action or declaration');
+    }
+    this.addStateRule(states, rule.expression, declaration || rule.action);
   }
 };
 
@@ -301,330 +1044,1843 @@ Lexer.prototype.addRules = function (rules) {
 };
 
 /**
- * Set source text string to lex.
+ * Analyze rules.
  *
- * @param {string} source
+ * Report contains keys:
+ * shadowedRules - rules which never win because earlier rule of the same
+ * state always matches the same or longer text (identical expression or
+ * expression fully matching string rule),
+ * emptyRules - rules matching empty string,
+ * emptyStates - states without rules,
+ * unreachableStates - exclusive and inclusive states which are not mentioned
+ * in actions or rule declarations, so they are never entered via begin() or
+ * pushState(),
+ * unusedDefinitions - definitions not referenced by rules.
  *
- * @public
- */
-Lexer.prototype.setSource = function (source) {
-  this.source = source;
-  this.index = 0;
-};
-
-/**
- * Run lexer until end or until token will be found.
+ * Each rule in report is object with state, index (index of rule in state),
+ * expression and shadowedBy (index of shadowing rule) keys.
  *
- * @return Either EOF {@link Lexer.EOF} or specific token produced by action.
+ * @return {Object} Report.
  *
  * @public
  */
-Lexer.prototype.lex = function () {
-  var result;
+Lexer.prototype.analyze = function () {
+  var report = {
+    shadowedRules: [],
+    emptyRules: [],
+    emptyStates: [],
+    unreachableStates: [],
+    unusedDefinitions: []
+  };
 
-  do {
-    result = this.scan();
-  } while (result === undefined && result !== Lexer.EOF);
+  var actions = [];
+  var enteredStates = [];
+  var definitions = [];
 
-  return result;
+  for (var state in this.states) {
+    var rules = this.rules[state] || [];
+
+    if (!rules.length) {
+      report.emptyStates.push(state);
+    }
+
+    for (var index = 0; index < rules.length; index++) {
+      var rule = rules[index];
+
+      if (rule.action && actions.indexOf(rule.action) === -1) {
+        actions.push(rule.action);
+      }
+      if (rule.declaration) {
+        [rule.declaration.begin, rule.declaration.push].forEach(function (name) {
+          if (name !== undefined && enteredStates.indexOf(name) === -1) {
+            enteredStates.push(name);
+          }
+        });
+      }
+      rule.definitions.forEach(function (name) {
+        if (definitions.indexOf(name) === -1) {
+          definitions.push(name);
+        }
+      });
+
+      if (rule.isEOF) {
+        continue;
+      }
+
+      rule.expression.lastIndex = 0;
+      var result = rule.expression.exec('');
+      if (result && result[0] === '') {
+        report.emptyRules.push({ state: state, index: index, expression: rule.expression });
+      }
+
+      for (var prev = 0; prev < index; prev++) {
+        if (this.isRuleShadowedBy(rule, rules[prev])) {
+          report.shadowedRules.push({ state: state, index: index, expression: rule.expression, shadowedBy: prev });
+          break;
+        }
+      }
+    }
+  }
+
+  var sources = actions.map(function (action) {
+    return action.toString();
+  });
+  for (var state in this.states) {
+    var quoted = new RegExp('([\'"`])' + this.escapeRegExp(state) + '\\1');
+    var isEntered = enteredStates.indexOf(state) !== -1 || sources.some(function (source) {
+      return quoted.test(source);
+    });
+    if (state !== Lexer.STATE_INITIAL && !isEntered) {
+      report.unreachableStates.push(state);
+    }
+  }
+
+  // definitions could reference other definitions
+  for (var i = 0; i < definitions.length; i++) {
+    this.getDefinitionReferences(this.definitions[definitions[i]]).forEach(function (name) {
+      if (definitions.indexOf(name) === -1) {
+        definitions.push(name);
+      }
+    });
+  }
+  for (var name in this.definitions) {
+    if (definitions.indexOf(name) === -1) {
+      report.unusedDefinitions.push(name);
+    }
+  }
+
+  return report;
 };
 
 /**
- * Run lexer until end, collect all tokens into array and return it.
+ * Check if rule never wins because of previous rule.
  *
- * @return {Array} Array of tokens.
+ * @param {Object} rule
+ * @param {Object} prev  Rule added before.
  *
- * @public
+ * @private
  */
-Lexer.prototype.lexAll = function () {
-  var result = [];
-  var token;
-  while ((token = this.lex()) !== Lexer.EOF) {
-    result.push(token);
+Lexer.prototype.isRuleShadowedBy = function (rule, prev) {
+  if (prev.isEOF || (prev.action && /\breject\b/.test(prev.action.toString()))) {
+    return false;
   }
-  return result;
+
+  if (prev.expression.source === rule.expression.source && prev.expression.flags === rule.expression.flags) {
+    return true;
+  }
+
+  if (rule.literal === undefined
+    || rule.hasBOL
+    || rule.hasEOL
+    || rule.trailing
+    // match of expression with assertions depends on the text around
+    || /\\[bB]|\(\?<?[=!]|[\^$]/.test(prev.expression.source.replace(/\[(?:\\.|[^\]\\])*\]/g, ''))
+  ) {
+    return false;
+  }
+
+  // case insensitive string rule matches text which case sensitive expression doesn't match
+  if (rule.expression.flags.indexOf('i') !== -1
+    && prev.expression.flags.indexOf('i') === -1
+    && rule.literal.toLowerCase() !== rule.literal.toUpperCase()
+  ) {
+    return false;
+  }
+
+  prev.expression.lastIndex = 0;
+  var result = prev.expression.exec(rule.literal);
+  return !!result && result[0].length === rule.literal.length;
 };
 
 /**
- * DISCARD action.
+ * Set source text string to lex.
+ *
+ * @param {string} source
+ * @param {string} [name]   Buffer name, file name for example.
  *
  * @public
  */
-Lexer.prototype.discard = function () {
-  return undefined;
+Lexer.prototype.setSource = function (source, name) {
+  this.loadSource(source, name);
+  this.retainedInput = undefined;
+  this.diagnostics = [];
+  this.lookahead = [];
+  this.aheadState = undefined;
 };
 
 /**
- * ECHO action.
+ * Switch to new source text string.
  *
- * @public
+ * @param {string} source
+ * @param {string} [name]
+ *
+ * @private
  */
-Lexer.prototype.echo = function () {
-  if (this.isNode) {
-    process.stdout.write(this.text);
-  } else {
-    console.log(this.text);
-  }
+Lexer.prototype.loadSource = function (source, name) {
+  this.source = source;
+  this.bufferName = name;
+  this.inputEnded = true;
+  this.reader = undefined;
+  this.rewind();
 };
 
 /**
- * BEGIN action.
+ * Append chunk of text to input.
  *
- * @param {string} [newState] Default is INITIAL state.
+ * Input is considered incomplete until endInput() is called, so tokens that reach
+ * the end of buffered text are held back until more text arrives.
+ *
+ * @param {string} chunk
  *
  * @public
  */
-Lexer.prototype.begin = function (newState) {
-  if (newState === undefined) {
-    newState = Lexer.STATE_INITIAL;
+Lexer.prototype.write = function (chunk) {
+  // only the first buffer is streamed, pushed buffers are strings
+  var stream = this.bufferStack.length ? this.bufferStack[0] : this;
+
+  // drop consumed text but keep one char to be able to match line start
+  var keep = stream.index > 0 ? stream.index - 1 : 0;
+  if (keep > 0) {
+    stream.bufferColumn = stream.indexColumn - (stream.index - keep);
+    stream.bufferOffset += keep;
+    stream.index -= keep;
+    stream.source = stream.source.substr(keep);
   }
-  if (!this.states[newState]) {
-    throw new Error('State "' + newState + '" is not registered');
+
+  stream.source += chunk;
+  stream.inputEnded = false;
+
+  // streamed input is kept for snapshots
+  if (this.retainedInput) {
+    this.retainedInput.text += chunk;
   }
-  this.state = newState;
 };
 
 /**
- * REJECT action.
+ * Mark end of input.
  *
- * @public
- */
-Lexer.prototype.reject = function () {
-  this.index -= this.text.length;
-  this.rejectedRules.push(this.ruleIndex);
-};
-
-/**
- * MORE action.
+ * @param {string} [chunk] Last chunk of text.
  *
  * @public
  */
-Lexer.prototype.more = function () {
-  this.readMore = true;
+Lexer.prototype.endInput = function (chunk) {
+  if (chunk !== undefined) {
+    this.write(chunk);
+  }
+  var stream = this.bufferStack.length ? this.bufferStack[0] : this;
+  stream.inputEnded = true;
+
+  if (this.retainedInput) {
+    this.retainedInput.ended = true;
+  }
 };
 
 /**
- * LESS action.
+ * Set reader to pull input from.
  *
- * @param {number} n
+ * Reader is called each time lexer needs more input and should return next
+ * chunk of text or null when there is no more input.
+ *
+ * @param {function} reader
  *
  * @public
  */
-Lexer.prototype.less = function (n) {
-  if (n > this.text.length) {
-    return;
+Lexer.prototype.setReader = function (reader) {
+  if (typeof reader !== 'function') {
+    throw new Error('Invalid reader: should be function');
   }
-  this.index -= this.text.length - n;
-  this.text = this.text.substr(0, n);
+  this.setSource('');
+  this.inputEnded = false;
+  this.reader = reader;
 };
 
 /**
- * UNPUT action.
+ * Run lexer until end or until token will be found.
  *
- * @param {string} s
+ * @return Either EOF {@link Lexer.EOF}, NEED_INPUT {@link Lexer.NEED_INPUT}
+ *         or specific token produced by action.
  *
  * @public
  */
-Lexer.prototype.unput = function (s) {
-  this.source = this.source.substr(0, this.index) + s + this.source.substr(this.index);
+Lexer.prototype.lex = function () {
+  var token;
+
+  if (this.lookahead.length) {
+    var entry = this.lookahead.shift();
+    this.setTokenState(entry.tokenState);
+    if (!this.lookahead.length) {
+      // continue scanning in the state peek() stopped in
+      this.stateStack = this.aheadState.stateStack.slice();
+      this.setState(this.aheadState.state);
+      this.aheadState = undefined;
+    }
+    token = entry.token;
+  } else {
+    token = this.scanToken();
+  }
+
+  if (token !== Lexer.EOF && token !== Lexer.NEED_INPUT) {
+    this.emit('token', token);
+  }
+
+  return token;
 };
 
 /**
- * INPUT action.
+ * Look ahead without consuming tokens.
  *
- * @param {number} n
+ * Tokens are scanned and actions are executed once, scanned tokens are
+ * returned by the following lex() calls. Current token values (text, state,
+ * line and so on) are not changed by peek() and are set to values of each
+ * peeked token once it is returned by lex().
  *
- * @return String read from current position (up to N characters).
+ * @param {number} [k] Number of token to look at, default is 1 (the next token).
+ *
+ * @return Either EOF {@link Lexer.EOF}, NEED_INPUT {@link Lexer.NEED_INPUT}
+ *         or specific token produced by action.
  *
  * @public
  */
-Lexer.prototype.input = function (n) {
-  var value = this.source.substr(this.index, n === undefined ? 1 : n);
-  this.index += value.length;
-  return value;
+Lexer.prototype.peek = function (k) {
+  if (k === undefined) {
+    k = 1;
+  }
+  if (typeof k !== 'number' || k < 1) {
+    throw new Error('Invalid lookahead: should be positive number');
+  }
+
+  var lookahead = this.lookahead;
+  var last = lookahead[lookahead.length - 1];
+
+  if (lookahead.length < k && !(last && last.token === Lexer.EOF)) {
+    var current = this.getTokenState();
+    if (this.aheadState) {
+      this.stateStack = this.aheadState.stateStack.slice();
+      this.setState(this.aheadState.state);
+    }
+
+    var token;
+    while (lookahead.length < k && token !== Lexer.EOF) {
+      token = this.scanToken();
+      if (token === Lexer.NEED_INPUT) {
+        break;
+      }
+      lookahead.push({ token: token, tokenState: this.getTokenState() });
+    }
+
+    // scanning could terminate lexer, so queue is restored
+    this.lookahead = lookahead;
+    if (lookahead.length) {
+      this.aheadState = this.getTokenState();
+      this.setTokenState(current);
+    }
+
+    if (token === Lexer.NEED_INPUT && lookahead.length < k) {
+      return Lexer.NEED_INPUT;
+    }
+  }
+
+  return lookahead.length >= k ? lookahead[k - 1].token : Lexer.EOF;
 };
 
 /**
- * TERMINATE action.
+ * Return token to lexer, so it is returned by the next lex() call.
+ *
+ * @param {*} token
  *
  * @public
  */
-Lexer.prototype.terminate = function () {
-  this.reset();
-  return Lexer.EOF;
+Lexer.prototype.pushBack = function (token) {
+  if (!this.lookahead.length) {
+    this.aheadState = this.getTokenState();
+  }
+  this.lookahead.unshift({ token: token, tokenState: this.getTokenState() });
 };
 
 /**
- * RESTART action.
+ * Run lexer until end or until token will be found ignoring lookahead.
  *
- * @public
+ * @private
  */
-Lexer.prototype.restart = function (newSource) {
-  if (newSource !== undefined) {
-    this.source = newSource;
+Lexer.prototype.scanToken = function () {
+  var result;
+
+  do {
+    result = this.scan();
+  } while (result === undefined && result !== Lexer.EOF);
+
+  if (this.structuredTokens && result !== Lexer.EOF && result !== Lexer.NEED_INPUT) {
+    result = this.createToken(result);
   }
-  this.index = 0;
+
+  return result;
 };
 
 /**
- * Pust State.
+ * Run lexer until end, collect all tokens into array and return it.
  *
- * @param {string} newState
+ * @return {Array} Array of tokens.
  *
  * @public
  */
-Lexer.prototype.pushState = function (newState) {
-  if (!this.states[newState]) {
-    throw new Error('State "' + newState + '" is not registered');
+Lexer.prototype.lexAll = function () {
+  var result = [];
+  var token;
+  while ((token = this.lex()) !== Lexer.EOF && token !== Lexer.NEED_INPUT) {
+    result.push(token);
   }
-  this.stateStack.push(this.state);
-  this.begin(newState);
+  return result;
 };
 
 /**
- * Get top state.
+ * Get iterator over tokens.
  *
- * @return {string} top state
+ * Iteration runs lexer until end (or until more input is needed).
+ * Lexer itself is iterable too.
+ *
+ * @return {Object} Iterator.
  *
  * @public
  */
-Lexer.prototype.topState = function () {
-  if (!this.stateStack.length) {
-    return undefined;
-  }
-  return this.stateStack[this.stateStack.length - 1];
+Lexer.prototype.iterator = function () {
+  var lexer = this;
+  return {
+    next: function () {
+      var token = lexer.lex();
+      if (token === Lexer.EOF || token === Lexer.NEED_INPUT) {
+        return { done: true, value: undefined };
+      }
+      return { done: false, value: token };
+    }
+  };
 };
 
+if (typeof Symbol !== 'undefined' && Symbol.iterator) {
+  Lexer.prototype[Symbol.iterator] = Lexer.prototype.iterator;
+}
+
 /**
- * Pop state.
+ * Run lexer asynchronously until end or until token will be found.
+ *
+ * Actions and reader could return promises, they are awaited in order before
+ * scanning continues. Lexer should not be used by anyone else until returned
+ * promise is settled.
+ *
+ * @return {Promise} Promise resolved with either EOF {@link Lexer.EOF},
+ *                   NEED_INPUT {@link Lexer.NEED_INPUT} or specific token
+ *                   produced by action.
  *
  * @public
  */
-Lexer.prototype.popState = function () {
-  if (!this.stateStack.length) {
-    throw new Error('Unable to pop state');
+Lexer.prototype.lexAsync = function () {
+  var lexer = this;
+
+  if (this.lookahead.length) {
+    return Promise.resolve(this.lex());
   }
-  var oldState = this.stateStack.pop();
-  this.begin(oldState);
-};
+
+  var finish = function (result) {
+    if (result !== Lexer.EOF && result !== Lexer.NEED_INPUT) {
+      if (lexer.structuredTokens) {
+        result = lexer.createToken(result);
+      }
+      lexer.emit('token', result);
+    }
+    return result;
+  };
+
+  var next = function () {
+    var result;
+    do {
+      lexer.asyncMode = true;
+      try {
+        result = lexer.scan();
+      } finally {
+        lexer.asyncMode = false;
+      }
+      if (lexer.isThenable(result)) {
+        return result.then(function (value) {
+          return value === undefined ? next() : finish(value);
+        });
+      }
+    } while (result === undefined);
+    return finish(result);
+  };
+
+  return new Promise(function (resolve) {
+    resolve(next());
+  });
+};
+
+/**
+ * Get async iterator over tokens.
+ *
+ * Iteration runs lexer with lexAsync() until end (or until more input is
+ * needed). Lexer itself is async iterable too.
+ *
+ * @return {Object} Async iterator.
+ *
+ * @public
+ */
+Lexer.prototype.asyncIterator = function () {
+  var lexer = this;
+  return {
+    next: function () {
+      return lexer.lexAsync().then(function (token) {
+        if (token === Lexer.EOF || token === Lexer.NEED_INPUT) {
+          return { done: true, value: undefined };
+        }
+        return { done: false, value: token };
+      });
+    }
+  };
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  Lexer.prototype[Symbol.asyncIterator] = Lexer.prototype.asyncIterator;
+}
+
+/**
+ * Re-lex source after edit reusing previous tokens.
+ *
+ * Scanning is restarted from the token before the one touched by the edit
+ * in the state that token was matched in, and is stopped once new token
+ * starts at the same (shifted) position and state as one of previous tokens.
+ * The rest of previous tokens is reused with shifted positions.
+ *
+ * Structured tokens mode is required. Lexer is reset when done.
+ *
+ * @param {string} source                Previous source text.
+ * @param {Array}  tokens                Previous tokens of the whole source.
+ * @param {Object} edit
+ * @param {number} edit.offset           Offset of the edit in previous source.
+ * @param {number} [edit.deleted]        Number of deleted characters.
+ * @param {string} [edit.inserted]       Inserted text.
+ *
+ * @return {Object} Result with keys: source (edited), tokens (updated), start
+ *                  and end (range of changed tokens in updated tokens) and
+ *                  removed (number of replaced previous tokens).
+ *
+ * @public
+ */
+Lexer.prototype.relex = function (source, tokens, edit) {
+  if (!this.structuredTokens) {
+    throw new Error('Unable to re-lex without structured tokens');
+  }
+
+  var offset = edit.offset;
+  var deleted = edit.deleted || 0;
+  var inserted = edit.inserted || '';
+  if (offset < 0 || offset + deleted > source.length) {
+    throw new Error('Edit is out of source range');
+  }
+
+  var newSource = source.substr(0, offset) + inserted + source.substr(offset + deleted);
+  var delta = inserted.length - deleted;
+  var editEnd = offset + inserted.length;
+
+  // previous token could be matched differently if the edit is in its lookahead,
+  // so restart from the token before the first token touched by the edit
+  var restart = 0;
+  while (restart < tokens.length && tokens[restart].end < offset) {
+    restart++;
+  }
+  restart--;
+
+  this.reset();
+  this.setSource(newSource, tokens.length ? tokens[0].buffer : undefined);
+  if (restart < 0) {
+    // no token ends before the edit, so scan from the beginning
+    restart = 0;
+  } else {
+    this.moveIndex(tokens[restart].start);
+    this.stateStack = tokens[restart].stateStack.slice();
+    this.setState(tokens[restart].state);
+  }
+
+  var result = tokens.slice(0, restart);
+  var reused = tokens.length;
+  var next = restart;
+  var token;
+
+  while ((token = this.lex()) !== Lexer.EOF && token !== Lexer.NEED_INPUT) {
+    // the rest is the same once both scans reach the same input in the same state
+    if (token.start > editEnd || (token.start === editEnd && source.charAt(offset + deleted - 1) === newSource.charAt(editEnd - 1))) {
+      while (next < tokens.length && tokens[next].start < token.start - delta) {
+        next++;
+      }
+      if (next < tokens.length && tokens[next].start === token.start - delta && this.isSameState(tokens[next], token)) {
+        reused = next;
+        break;
+      }
+    }
+    result.push(token);
+  }
+
+  this.reset();
+
+  var end = result.length;
+  var oldEnd = this.getLineColumn(source, offset + deleted);
+  var newEnd = this.getLineColumn(newSource, editEnd);
+
+  for (var index = reused; index < tokens.length; index++) {
+    result.push(this.shiftToken(tokens[index], delta, oldEnd, newEnd));
+  }
+
+  // tokens scanned again before the edit are usually the same
+  var start = restart;
+  while (start < end && start < reused && this.isSameToken(result[start], tokens[start])) {
+    start++;
+  }
+
+  return {
+    source: newSource,
+    tokens: result,
+    start: start,
+    end: end,
+    removed: reused - start
+  };
+};
+
+/**
+ * DISCARD action.
+ *
+ * @public
+ */
+Lexer.prototype.discard = function () {
+  return undefined;
+};
+
+/**
+ * ECHO action.
+ *
+ * @public
+ */
+Lexer.prototype.echo = function () {
+  if (this.output === Lexer.OUTPUT_STRING) {
+    this.outputText += this.text;
+  } else if (typeof this.output === 'function') {
+    this.output(this.text);
+  } else if (this.output) {
+    this.output.write(this.text);
+  } else if (this.isNode) {
+    process.stdout.write(this.text);
+  } else {
+    console.log(this.text);
+  }
+};
+
+/**
+ * BEGIN action.
+ *
+ * @param {string} [newState] Default is INITIAL state.
+ *
+ * @public
+ */
+Lexer.prototype.begin = function (newState) {
+  if (newState === undefined) {
+    newState = Lexer.STATE_INITIAL;
+  }
+  if (!this.states[newState]) {
+    throw new Error('State "' + newState + '" is not registered');
+  }
+  this.setState(newState);
+};
+
+/**
+ * Set current state, stateChange hook is called if state is changed.
+ *
+ * @param {string} newState
+ *
+ * @private
+ */
+Lexer.prototype.setState = function (newState) {
+  var oldState = this.state;
+  this.state = newState;
+  if (oldState !== newState) {
+    this.emit('stateChange', oldState, newState);
+  }
+};
+
+/**
+ * REJECT action.
+ *
+ * @public
+ */
+Lexer.prototype.reject = function () {
+  this.moveIndex(this.index - this.text.length);
+  this.rejectedRules.push(this.ruleIndex);
+  this.emit('reject', this.rules[this.matchedState][this.ruleIndex], this.text);
+};
+
+/**
+ * MORE action.
+ *
+ * @public
+ */
+Lexer.prototype.more = function () {
+  this.readMore = true;
+};
+
+/**
+ * LESS action.
+ *
+ * @param {number} n
+ *
+ * @public
+ */
+Lexer.prototype.less = function (n) {
+  if (n > this.text.length) {
+    return;
+  }
+  this.moveIndex(this.index - (this.text.length - n));
+  this.text = this.text.substr(0, n);
+  this.end = this.bufferOffset + this.index;
+};
+
+/**
+ * UNPUT action.
+ *
+ * @param {string} s
+ *
+ * @public
+ */
+Lexer.prototype.unput = function (s) {
+  this.source = this.source.substr(0, this.index) + s + this.source.substr(this.index);
+};
+
+/**
+ * INPUT action.
+ *
+ * @param {number} n
+ *
+ * @return String read from current position (up to N characters).
+ *
+ * @public
+ */
+Lexer.prototype.input = function (n) {
+  var value = this.source.substr(this.index, n === undefined ? 1 : n);
+  this.moveIndex(this.index + value.length);
+  return value;
+};
+
+/**
+ * TERMINATE action.
+ *
+ * @public
+ */
+Lexer.prototype.terminate = function () {
+  this.reset();
+  return Lexer.EOF;
+};
+
+/**
+ * RESTART action.
+ *
+ * @public
+ */
+Lexer.prototype.restart = function (newSource) {
+  if (newSource !== undefined) {
+    this.source = newSource;
+  }
+  this.rewind();
+};
+
+/**
+ * Pust State.
+ *
+ * @param {string} newState
+ *
+ * @public
+ */
+Lexer.prototype.pushState = function (newState) {
+  if (!this.states[newState]) {
+    throw new Error('State "' + newState + '" is not registered');
+  }
+  this.stateStack.push(this.state);
+  this.begin(newState);
+};
+
+/**
+ * Get top state.
+ *
+ * @return {string} top state
+ *
+ * @public
+ */
+Lexer.prototype.topState = function () {
+  if (!this.stateStack.length) {
+    return undefined;
+  }
+  return this.stateStack[this.stateStack.length - 1];
+};
+
+/**
+ * Pop state.
+ *
+ * @public
+ */
+Lexer.prototype.popState = function () {
+  if (!this.stateStack.length) {
+    throw new Error('Unable to pop state');
+  }
+  var oldState = this.stateStack.pop();
+  this.begin(oldState);
+};
+
+/**
+ * Switch state.
+ *
+ * @param {string} [newState] Switch to specific state or initial if omitted.
+ *
+ * @public
+ */
+Lexer.prototype.switchState = function (newState) {
+  this.begin(newState);
+};
+
+/**
+ * Push Buffer.
+ *
+ * Save current buffer and continue scanning new source string. Saved buffer
+ * is restored with the same position and state once new buffer is scanned
+ * till the end.
+ *
+ * @param {string} source
+ * @param {string} [name]   Buffer name, file name for example.
+ *
+ * @public
+ */
+Lexer.prototype.pushBuffer = function (source, name) {
+  if (typeof source !== 'string') {
+    throw new Error('Invalid buffer source: should be string');
+  }
+  this.bufferStack.push({
+    name: this.bufferName,
+    source: this.source,
+    inputEnded: this.inputEnded,
+    reader: this.reader,
+    state: this.state,
+    index: this.index,
+    indexLine: this.indexLine,
+    indexColumn: this.indexColumn,
+    bufferOffset: this.bufferOffset,
+    bufferColumn: this.bufferColumn
+  });
+  this.loadSource(source, name);
+};
+
+/**
+ * Pop Buffer.
+ *
+ * Discard current buffer and continue scanning previous buffer.
+ *
+ * @public
+ */
+Lexer.prototype.popBuffer = function () {
+  if (!this.bufferStack.length) {
+    throw new Error('Unable to pop buffer');
+  }
+  var buffer = this.bufferStack.pop();
+  this.bufferName = buffer.name;
+  this.source = buffer.source;
+  this.inputEnded = buffer.inputEnded;
+  this.reader = buffer.reader;
+  this.index = buffer.index;
+  this.indexLine = buffer.indexLine;
+  this.indexColumn = buffer.indexColumn;
+  this.bufferOffset = buffer.bufferOffset;
+  this.bufferColumn = buffer.bufferColumn;
+  this.setState(buffer.state);
+};
+
+/**
+ * Save scanner state.
+ *
+ * Snapshot is deeply frozen plain object which could be serialized with JSON
+ * as long as token value set by action is serializable.
+ *
+ * Input streamed with write() or reader after the first snapshot is kept by
+ * lexer, so it is not lost on restore, until releaseStates() is called. This
+ * input record is shared by snapshots and is not frozen: streamed text is
+ * appended to it, so it is not a point-in-time copy.
+ *
+ * @return {Object} Snapshot.
+ *
+ * @public
+ */
+Lexer.prototype.saveState = function () {
+  var stream = this.bufferStack.length ? this.bufferStack[0] : this;
+  if (!this.retainedInput && (!stream.inputEnded || stream.reader)) {
+    // shared by snapshots, streamed text is appended until released
+    this.retainedInput = {
+      offset: stream.bufferOffset,
+      text: stream.source,
+      ended: stream.inputEnded,
+      reader: stream.reader,
+      released: false
+    };
+  }
+
+  return Object.freeze({
+    input: this.retainedInput,
+    source: this.source,
+    inputEnded: this.inputEnded,
+    bufferName: this.bufferName,
+    bufferStack: Object.freeze(this.bufferStack.map(function (buffer) {
+      return Object.freeze({
+        name: buffer.name,
+        source: buffer.source,
+        inputEnded: buffer.inputEnded,
+        state: buffer.state,
+        index: buffer.index,
+        indexLine: buffer.indexLine,
+        indexColumn: buffer.indexColumn,
+        bufferOffset: buffer.bufferOffset,
+        bufferColumn: buffer.bufferColumn
+      });
+    })),
+    text: this.text,
+    value: this.value,
+    state: this.state,
+    matchedState: this.matchedState,
+    matchedStateStack: Object.freeze(this.matchedStateStack.slice()),
+    start: this.start,
+    end: this.end,
+    line: this.line,
+    column: this.column,
+    index: this.index,
+    indexLine: this.indexLine,
+    indexColumn: this.indexColumn,
+    bufferOffset: this.bufferOffset,
+    bufferColumn: this.bufferColumn,
+    ruleIndex: this.ruleIndex,
+    readMore: this.readMore,
+    stateStack: Object.freeze(this.stateStack.slice()),
+    rejectedRules: Object.freeze(this.rejectedRules.slice()),
+    lookahead: Object.freeze(this.lookahead.map(function (entry) {
+      return Object.freeze({ token: entry.token, tokenState: this.freezeTokenState(entry.tokenState) });
+    }, this)),
+    aheadState: this.aheadState ? this.freezeTokenState(this.aheadState) : undefined,
+    diagnostics: this.diagnostics.length
+  });
+};
+
+/**
+ * Copy values of token into frozen object, so snapshot doesn't share them.
+ *
+ * @param {Object} tokenState
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+Lexer.prototype.freezeTokenState = function (tokenState) {
+  var copy = {};
+  for (var key in tokenState) {
+    copy[key] = tokenState[key];
+  }
+  copy.stateStack = Object.freeze(tokenState.stateStack.slice());
+  copy.matchedStateStack = Object.freeze(tokenState.matchedStateStack.slice());
+  return Object.freeze(copy);
+};
+
+/**
+ * Restore scanner state saved by saveState().
+ *
+ * Input written or read after snapshot was saved is scanned again,
+ * diagnostics reported after snapshot was saved are removed.
+ *
+ * @param {Object} snapshot
+ *
+ * @public
+ */
+Lexer.prototype.restoreState = function (snapshot) {
+  if (!snapshot || typeof snapshot.source !== 'string' || !Array.isArray(snapshot.bufferStack)) {
+    throw new Error('Invalid snapshot');
+  }
+  if (!this.states[snapshot.state]) {
+    throw new Error('State "' + snapshot.state + '" is not registered');
+  }
+  var input = snapshot.input;
+  if (input && input.released) {
+    throw new Error('Unable to restore snapshot after releaseStates()');
+  }
+
+  // only the first buffer could have reader, pushed buffers are strings
+  var reader = this.bufferStack.length ? this.bufferStack[0].reader : this.reader;
+
+  this.source = snapshot.source;
+  this.inputEnded = snapshot.inputEnded;
+  this.bufferName = snapshot.bufferName;
+  this.bufferStack = snapshot.bufferStack.map(function (buffer) {
+    return {
+      name: buffer.name,
+      source: buffer.source,
+      inputEnded: buffer.inputEnded,
+      reader: undefined,
+      state: buffer.state,
+      index: buffer.index,
+      indexLine: buffer.indexLine,
+      indexColumn: buffer.indexColumn,
+      bufferOffset: buffer.bufferOffset,
+      bufferColumn: buffer.bufferColumn
+    };
+  });
+  if (input) {
+    // the first buffer continues with input streamed after snapshot
+    var stream = this.bufferStack.length ? this.bufferStack[0] : this;
+    var streamOffset = this.bufferStack.length ? this.bufferStack[0].bufferOffset : snapshot.bufferOffset;
+    stream.source = input.text.substr(streamOffset - input.offset);
+    stream.inputEnded = input.ended;
+    reader = input.reader || reader;
+  }
+  this.retainedInput = input;
+  if (this.bufferStack.length) {
+    this.bufferStack[0].reader = reader;
+    this.reader = undefined;
+  } else {
+    this.reader = reader;
+  }
+  this.text = snapshot.text;
+  this.value = snapshot.value;
+  this.matchedState = snapshot.matchedState;
+  this.matchedStateStack = snapshot.matchedStateStack;
+  this.start = snapshot.start;
+  this.end = snapshot.end;
+  this.line = snapshot.line;
+  this.column = snapshot.column;
+  this.index = snapshot.index;
+  this.indexLine = snapshot.indexLine;
+  this.indexColumn = snapshot.indexColumn;
+  this.bufferOffset = snapshot.bufferOffset;
+  this.bufferColumn = snapshot.bufferColumn;
+  this.ruleIndex = snapshot.ruleIndex;
+  this.readMore = snapshot.readMore;
+  this.stateStack = snapshot.stateStack.slice();
+  this.rejectedRules = snapshot.rejectedRules.slice();
+  if (this.diagnostics.length > snapshot.diagnostics) {
+    this.diagnostics.length = snapshot.diagnostics;
+  }
+  this.lookahead = (snapshot.lookahead || []).map(function (entry) {
+    return { token: entry.token, tokenState: entry.tokenState };
+  });
+  this.aheadState = this.lookahead.length ? snapshot.aheadState : undefined;
+  this.setState(snapshot.state);
+};
+
+/**
+ * Stop keeping streamed input for saved snapshots.
+ *
+ * Should be called once speculative scanning is committed, so streamed input
+ * is not kept in memory anymore. Snapshots of streamed input saved before
+ * can't be restored after that.
+ *
+ * @public
+ */
+Lexer.prototype.releaseStates = function () {
+  if (this.retainedInput) {
+    this.retainedInput.released = true;
+    this.retainedInput = undefined;
+  }
+};
+
+/**
+ * Scan for one token.
+ *
+ * @private
+ */
+Lexer.prototype.scan = function () {
+  var isEOF = this.index >= this.source.length && this.inputEnded;
+
+  // ask for the next input only at the end of the last buffer
+  if (isEOF && this.wrap && !this.bufferStack.length && !this.rejectedRules.length && this.wrapInput()) {
+    return;
+  }
+
+  var rules = this.rules[this.state] || [];
+  var match;
+
+  if (isEOF) {
+    match = this.matchEOFRule(rules);
+  } else if (this.combinedMatching) {
+    match = this.matchCombinedRules(rules);
+  } else {
+    match = this.matchRules(rules);
+  }
+
+  var matchedIndex = match ? match.index : undefined;
+  var matchedRule = match ? rules[match.index] : undefined;
+  var matchedValue = match ? match.value : '';
+
+  // the match could continue in the next chunk or longer rule could match
+  // once more input arrives, so wait for more input
+  if (!this.inputEnded
+    && this.index + Math.max(matchedRule ? matchedValue.length : 1, this.maxTokenLength) >= this.source.length
+  ) {
+    return this.readInput();
+  }
+
+  this.ruleIndex = matchedIndex;
+
+  if (!this.readMore) {
+    this.text = '';
+    this.start = this.bufferOffset + this.index;
+    this.line = this.indexLine;
+    this.column = this.indexColumn;
+  }
+  this.readMore = false;
+  this.value = undefined;
+  this.matchedState = this.state;
+  // state stack is changed in place by actions
+  this.matchedStateStack = this.stateStack.slice();
+  this.match = matchedRule && !isEOF ? this.getRegExpMatch(matchedRule, matchedValue) : null;
+  this.groups = this.match ? this.match.groups || {} : undefined;
+
+  if (!matchedRule) {
+    if (!isEOF) {
+      if (this.noDefault) {
+        return this.recoverError();
+      }
+      this.text += this.source.charAt(this.index);
+      this.moveIndex(this.index + 1);
+      this.end = this.bufferOffset + this.index;
+      this.emit('defaultRule', this.text);
+      return this.echo();
+    } else {
+      this.text = '';
+      this.end = this.bufferOffset + this.index;
+      return this.finishBuffer();
+    }
+  }
+
+  this.text += matchedValue;
+  this.moveIndex(this.index + matchedValue.length);
+  this.end = this.bufferOffset + this.index;
+
+  this.emit('match', matchedRule, matchedValue);
+
+  var rejectedBefore = this.rejectedRules.length;
+  var actionResult = matchedRule.action
+    ? matchedRule.action(this)
+    : matchedRule.declaration ? this.applyDeclaration(matchedRule.declaration) : this.discard();
+
+  if (this.asyncMode && this.isThenable(actionResult)) {
+    var lexer = this;
+    return actionResult.then(function (result) {
+      return lexer.finishAction(result, isEOF, rejectedBefore);
+    });
+  }
+
+  return this.finishAction(actionResult, isEOF, rejectedBefore);
+};
+
+/**
+ * Execute rule declaration instead of action.
+ *
+ * @param {Object} declaration
+ *
+ * @return Token type or undefined for skipped token.
+ *
+ * @private
+ */
+Lexer.prototype.applyDeclaration = function (declaration) {
+  if (declaration.value !== undefined) {
+    this.value = this.transformValue(declaration.value, this.text);
+  }
+  if (declaration.pop) {
+    this.popState();
+  }
+  if (declaration.begin !== undefined) {
+    this.begin(declaration.begin);
+  }
+  if (declaration.push !== undefined) {
+    this.pushState(declaration.push);
+  }
+  return declaration.skip ? undefined : declaration.type;
+};
+
+/**
+ * Get token value from text.
+ *
+ * @param {string|function} transform  Transform name or function called with text and lexer.
+ * @param {string}          text
+ *
+ * @private
+ */
+Lexer.prototype.transformValue = function (transform, text) {
+  if (typeof transform === 'function') {
+    return transform(text, this);
+  }
+  switch (transform) {
+    case 'number':
+      return Number(text);
+    case 'integer':
+      return parseInt(text, 10);
+    case 'unquote':
+      var quote = text.charAt(0);
+      return text.length > 1 && '"\'`'.indexOf(quote) !== -1 && text.charAt(text.length - 1) === quote
+        ? text.substr(1, text.length - 2)
+        : text;
+    case 'trim':
+      return text.trim();
+    case 'lowercase':
+      return text.toLowerCase();
+    case 'uppercase':
+      return text.toUpperCase();
+  }
+  throw new Error('Unknown value transform "' + transform + '"');
+};
+
+/**
+ * Handle rejection and EOF after action is executed.
+ *
+ * @param {*}       actionResult
+ * @param {boolean} isEOF           True if action is EOF rule action.
+ * @param {number}  rejectedBefore  Number of rejected rules before action.
+ *
+ * @private
+ */
+Lexer.prototype.finishAction = function (actionResult, isEOF, rejectedBefore) {
+  var hasRejection = this.rejectedRules.length > rejectedBefore;
+
+  // reset reject state if there is no rejection in last action
+  if (hasRejection) {
+    // ignore result if there is rejection in action
+    return;
+  }
+
+  this.rejectedRules = [];
+
+  // rule action could change buffer or position, so EOF state could be changed too
+  // we need revalidate EOF only if EOF was identified before action were executed
+  if (isEOF) {
+    isEOF = this.index >= this.source.length && this.inputEnded;
+  }
+
+  return isEOF ? this.finishBuffer(actionResult) : actionResult;
+};
+
+/**
+ * Find first not rejected EOF rule.
+ *
+ * @param {Array} rules
+ *
+ * @return {Object} Match with index and value keys or undefined.
+ *
+ * @private
+ */
+Lexer.prototype.matchEOFRule = function (rules) {
+  for (var index = 0; index < rules.length; index++) {
+    if (rules[index].isEOF && this.rejectedRules.indexOf(index) === -1) {
+      return { index: index, value: '' };
+    }
+  }
+};
+
+/**
+ * Find the longest match executing each rule expression one by one.
+ *
+ * @param {Array} rules
+ *
+ * @return {Object} Match with index and value keys or undefined.
+ *
+ * @private
+ */
+Lexer.prototype.matchRules = function (rules) {
+  var match;
+  var matchLength = 0; // could be 1 char more than value for expressions with $ at end
+
+  for (var index = 0; index < rules.length; index++) {
+    var rule = rules[index];
+
+    if (rule.isEOF || this.rejectedRules.indexOf(index) !== -1) {
+      continue;
+    }
+
+    if (rule.fixedWidth !== undefined && rule.fixedWidth <= matchLength) {
+      continue;
+    }
+
+    var value = this.execRegExp(rule.expression);
+    if (value !== undefined) {
+      var length = this.getMatchWeight(rule, value);
+      if (length > matchLength) {
+        match = { index: index, value: value };
+        matchLength = length;
+      }
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Find the longest match using combined expressions.
+ *
+ * @param {Array} rules
+ *
+ * @return {Object} Match with index and value keys or undefined.
+ *
+ * @private
+ */
+Lexer.prototype.matchCombinedRules = function (rules) {
+  var matchers = this.matchers[this.state];
+  if (!matchers || matchers.rules !== rules || matchers.length !== rules.length) {
+    matchers = this.matchers[this.state] = {
+      rules: rules,
+      length: rules.length,
+      byChar: Object.create(null)
+    };
+  }
+
+  // string rules that can't match current char are not included into matcher
+  var char = this.source.charAt(this.index);
+  var matcher = matchers.byChar[char];
+  if (!matcher) {
+    matcher = matchers.byChar[char] = this.createMatcher(rules, char);
+  }
+
+  var match = { index: undefined, value: undefined, length: 0 };
+
+  for (var i = 0; i < matcher.combined.length; i++) {
+    var combined = matcher.combined[i];
+    combined.expression.lastIndex = this.index;
+    var result = combined.expression.exec(this.source);
+    for (var j = 0; j < combined.groups.length; j++) {
+      var value = result[combined.groups[j]];
+      if (value !== undefined) {
+        this.pickMatch(match, rules, combined.rules[j], value);
+      }
+    }
+  }
+
+  for (var i = 0; i < matcher.single.length; i++) {
+    var index = matcher.single[i];
+    this.pickMatch(match, rules, index, this.execRegExp(rules[index].expression));
+  }
+
+  return match.index !== undefined ? match : undefined;
+};
+
+/**
+ * Replace current best match if rule matched more text.
+ *
+ * @private
+ */
+Lexer.prototype.pickMatch = function (match, rules, index, value) {
+  if (value === undefined || this.rejectedRules.indexOf(index) !== -1) {
+    return;
+  }
+  var length = this.getMatchWeight(rules[index], value);
+  // the first rule wins if length is the same
+  if (length > match.length || (match.index !== undefined && length === match.length && index < match.index)) {
+    match.index = index;
+    match.value = value;
+    match.length = length;
+  }
+};
+
+/**
+ * Create combined expressions for list of rules.
+ *
+ * Each rule is wrapped into optional lookahead with capturing group, so one
+ * execution captures matches of all rules at current position. Rules with
+ * different flags are combined into different expressions.
+ *
+ * @param {Array}  rules
+ * @param {string} char   Current char.
+ *
+ * @return {Object} Matcher.
+ *
+ * @private
+ */
+Lexer.prototype.createMatcher = function (rules, char) {
+  var byFlags = {};
+  var single = [];
+
+  for (var index = 0; index < rules.length; index++) {
+    var expression = rules[index].expression;
+
+    if (rules[index].isEOF || !this.canMatchChar(rules[index], char)) {
+      continue;
+    }
+
+    // group numbers and names would be changed or duplicated in combined expression
+    if (/\\[1-9]|\\k<|\(\?<[^=!]/.test(expression.source)) {
+      single.push(index);
+      continue;
+    }
+
+    var flags = expression.flags;
+    if (!byFlags[flags]) {
+      byFlags[flags] = { sources: [], rules: [], groups: [], groupCount: 0 };
+    }
+    var combined = byFlags[flags];
+    combined.rules.push(index);
+    combined.groups.push(combined.groupCount + 1);
+    combined.sources.push('(?:(?=(' + expression.source + '))|)');
+    combined.groupCount += 1 + this.countRegExpGroups(expression);
+  }
+
+  return {
+    rules: rules,
+    length: rules.length,
+    combined: Object.keys(byFlags).map(function (flags) {
+      var combined = byFlags[flags];
+      return {
+        expression: new RegExp(combined.sources.join(''), flags),
+        rules: combined.rules,
+        groups: combined.groups
+      };
+    }),
+    single: single
+  };
+};
+
+/**
+ * Check if rule could match text starting with given char.
+ *
+ * Only string rules are checked, any other rule could match.
+ *
+ * @private
+ */
+Lexer.prototype.canMatchChar = function (rule, char) {
+  if (rule.literal === undefined) {
+    return true;
+  }
+
+  var first = rule.literal.charAt(0);
+  var flags = rule.expression.flags;
+
+  if (flags.indexOf('i') === -1) {
+    return first === char;
+  }
+
+  // case insensitive match without unicode flag never matches ASCII char with non-ASCII one
+  if (flags.indexOf('u') === -1 && first < '\x80') {
+    return char < '\x80' && first.toLowerCase() === char.toLowerCase();
+  }
+
+  return true;
+};
+
+/**
+ * Get match length used to compare matches.
+ *
+ * @private
+ */
+Lexer.prototype.getMatchWeight = function (rule, value) {
+  var length = value.length;
+  if (rule.trailing) {
+    // trailing context is returned to input but counts as a part of the match
+    rule.trailing.lastIndex = this.index + value.length;
+    var result = rule.trailing.exec(this.source);
+    length += result ? result[0].length : 0;
+  }
+  if (rule.hasBOL) {
+    length++;
+  }
+  if (rule.hasEOL) {
+    length++;
+  }
+  return length;
+};
+
+/**
+ * Wrap token returned by action into object.
+ *
+ * @param {*} type Value returned by action.
+ *
+ * @return {Object} Token.
+ *
+ * @private
+ */
+Lexer.prototype.createToken = function (type) {
+  return {
+    type: type,
+    value: this.value !== undefined ? this.value : this.text,
+    text: this.text,
+    start: this.start,
+    end: this.end,
+    line: this.line,
+    column: this.column,
+    state: this.matchedState,
+    stateStack: this.matchedStateStack,
+    buffer: this.bufferName
+  };
+};
 
 /**
- * Switch state.
+ * Get values of current token.
  *
- * @param {string} [newState] Switch to specific state or initial if omitted.
+ * @private
+ */
+Lexer.prototype.getTokenState = function () {
+  return {
+    text: this.text,
+    value: this.value,
+    state: this.state,
+    stateStack: this.stateStack.slice(),
+    matchedState: this.matchedState,
+    matchedStateStack: this.matchedStateStack,
+    start: this.start,
+    end: this.end,
+    line: this.line,
+    column: this.column
+  };
+};
+
+/**
+ * Set values of current token.
  *
- * @public
+ * @private
  */
-Lexer.prototype.switchState = function (newState) {
-  this.begin(newState);
+Lexer.prototype.setTokenState = function (tokenState) {
+  this.text = tokenState.text;
+  this.value = tokenState.value;
+  this.stateStack = tokenState.stateStack.slice();
+  this.matchedState = tokenState.matchedState;
+  this.matchedStateStack = tokenState.matchedStateStack;
+  this.start = tokenState.start;
+  this.end = tokenState.end;
+  this.line = tokenState.line;
+  this.column = tokenState.column;
+  this.setState(tokenState.state);
 };
 
 /**
- * Scan for one token.
+ * Copy token moved by the edit.
+ *
+ * @param {Object} token
+ * @param {number} delta   Offset shift.
+ * @param {Object} oldEnd  Line and column of the edit end in previous source.
+ * @param {Object} newEnd  Line and column of the edit end in edited source.
+ *
+ * @return {Object} Token.
  *
  * @private
  */
-Lexer.prototype.scan = function () {
-  var isEOF = this.index >= this.source.length;
+Lexer.prototype.shiftToken = function (token, delta, oldEnd, newEnd) {
+  var result = {};
+  for (var key in token) {
+    result[key] = token[key];
+  }
+  result.start += delta;
+  result.end += delta;
+  if (token.line === oldEnd.line) {
+    result.column += newEnd.column - oldEnd.column;
+  }
+  result.line += newEnd.line - oldEnd.line;
+  return result;
+};
 
-  var matchedRule;
-  var matchedIndex;
-  var matchedValue = '';
-  var matchedValueLength = 0; // could be 1 char more than matchedValue for expressions with $ at end
+/**
+ * @private
+ */
+Lexer.prototype.isSameToken = function (a, b) {
+  return a.type === b.type
+    && a.text === b.text
+    && a.start === b.start
+    && a.end === b.end
+    && this.isSameState(a, b);
+};
 
-  var rules = this.rules[this.state] || [];
-  for (var index in rules) {
-    if (this.rejectedRules.indexOf(index) !== -1) {
-      continue;
-    }
+/**
+ * Check if tokens are matched in the same state with the same state stack.
+ *
+ * @private
+ */
+Lexer.prototype.isSameState = function (a, b) {
+  return a.state === b.state
+    && a.stateStack.length === b.stateStack.length
+    && a.stateStack.every(function (state, index) {
+      return state === b.stateStack[index];
+    });
+};
 
-    var rule = rules[index];
+/**
+ * @private
+ */
+Lexer.prototype.getLineColumn = function (source, index) {
+  var lines = source.substr(0, index).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
 
-    if (isEOF) {
-      // skip non EOF rules
-      if (rule.isEOF) {
-        matchedRule = rule;
-        matchedIndex = index;
-        matchedValue = '';
-        // no need to search for other EOF rules
-        break;
-      }
-    } else {
-      if (rule.fixedWidth === undefined
-        || rule.fixedWidth > matchedValueLength
-      ) {
-        var curMatch = this.execRegExp(rule.expression);
-        if (curMatch !== undefined) {
-          var curMatchLength = curMatch.length;
-
-          if (rule.hasBOL) {
-            curMatchLength++;
-          }
-          if (rule.hasEOL) {
-            curMatchLength++;
-          }
+/**
+ * Report error for current token.
+ *
+ * Error is added into diagnostics, so actions could report problems and
+ * continue scanning.
+ *
+ * @param {string} message
+ *
+ * @return {LexerError} Reported error.
+ *
+ * @public
+ */
+Lexer.prototype.reportError = function (message) {
+  var index = Math.max(0, this.start - this.bufferOffset);
+  var error = this.createError(message, index, this.line, this.column, this.end - this.start);
+  this.diagnostics.push(error);
+  return error;
+};
 
-          if (curMatchLength > matchedValueLength) {
-            matchedRule = rule;
-            matchedIndex = index;
-            matchedValue = curMatch;
-            matchedValueLength = curMatchLength;
-          }
-        }
+/**
+ * Consume unmatched input and report it.
+ *
+ * @return Value returned by error handler or error token.
+ *
+ * @private
+ */
+Lexer.prototype.recoverError = function () {
+  var index = this.index;
+  var line = this.indexLine;
+  var column = this.indexColumn;
+  var text = this.source.charAt(this.index);
+
+  this.moveIndex(this.index + 1);
+
+  var skip = 0;
+  if (this.recovery === Lexer.RECOVERY_SKIP_TO_WHITESPACE) {
+    skip = this.source.substr(this.index).search(/\s/);
+  } else if (this.recovery instanceof RegExp) {
+    while (this.index + skip < this.source.length) {
+      this.recovery.lastIndex = this.index + skip;
+      if (this.recovery.test(this.source)) {
+        break;
       }
+      skip++;
     }
+  } else if (typeof this.recovery === 'function') {
+    skip = this.recovery(this) || 0;
   }
+  if (skip < 0 || this.index + skip > this.source.length) {
+    skip = this.source.length - this.index;
+  }
+
+  text += this.source.substr(this.index, skip);
+  this.moveIndex(this.index + skip);
+  this.text += text;
+  this.end = this.bufferOffset + this.index;
+
+  var error = this.createError(
+    'Unexpected ' + (text.length > 1 ? 'input' : 'character') + ' "' + this.encodeString(text) + '"',
+    index,
+    line,
+    column,
+    text.length
+  );
+  this.diagnostics.push(error);
 
-  if (matchedRule && this.debugEnabled) {
-    this.logAccept(this.state, matchedRule.expression, matchedValue);
+  if (this.errorHandler) {
+    return this.errorHandler(error, this);
+  }
+  if (this.errorToken === undefined && this.recovery === undefined) {
+    throw error;
   }
+  return this.errorToken;
+};
 
-  this.ruleIndex = matchedIndex;
-  this.text = this.readMore ? this.text : '';
-  this.readMore = false
+/**
+ * Create error for given position.
+ *
+ * @param {string} message
+ * @param {number} index    Index in current buffer.
+ * @param {number} line
+ * @param {number} column
+ * @param {number} length   Length of erroneous input.
+ *
+ * @return {LexerError}
+ *
+ * @private
+ */
+Lexer.prototype.createError = function (message, index, line, column, length) {
+  var lineStart = index > 0 ? this.source.lastIndexOf('\n', index - 1) + 1 : 0;
+  var lineEnd = this.source.indexOf('\n', index);
+  if (lineEnd === -1) {
+    lineEnd = this.source.length;
+  }
 
-  if (!matchedRule) {
-    if (!isEOF) {
-      this.text += this.source.charAt(this.index);
-      this.index++;
-      return this.echo();
-    } else {
-      this.text = '';
-      return this.terminate();
+  // up to 40 chars around error position with marker below
+  var from = Math.max(lineStart, index - 40);
+  var to = Math.min(lineEnd, index + 40);
+  var snippet = this.source.substring(from, to) + '\n'
+    + this.source.substring(from, index).replace(/[^\t]/g, ' ') + '^';
+
+  return new LexerError(
+    message + ' at line ' + line + ', column ' + column
+      + (this.bufferName !== undefined ? ' in ' + this.bufferName : ''),
+    {
+      offset: this.bufferOffset + index,
+      length: length,
+      line: line,
+      column: column,
+      state: this.state,
+      buffer: this.bufferName,
+      snippet: snippet
     }
+  );
+};
+
+/**
+ * Switch to the next input provided by wrap function.
+ *
+ * @return {boolean} True if there is next input.
+ *
+ * @private
+ */
+Lexer.prototype.wrapInput = function () {
+  var next = this.wrap(this);
+  // snapshots keep input they were saved for
+  this.retainedInput = undefined;
+  if (typeof next === 'string') {
+    this.loadSource(next);
+    return true;
+  }
+  if (next && typeof next.source === 'string') {
+    this.loadSource(next.source, next.name);
+    return true;
   }
+  return false;
+};
 
-  this.text += matchedValue;
-  this.index += this.text.length;
+/**
+ * Continue with previous buffer or terminate once current buffer is scanned.
+ *
+ * @param {*} [result] Result of EOF action.
+ *
+ * @private
+ */
+Lexer.prototype.finishBuffer = function (result) {
+  this.emit('eof', this.bufferName);
+  if (this.bufferStack.length) {
+    this.popBuffer();
+    return result;
+  }
+  return this.terminate();
+};
 
-  var rejectedBefore = this.rejectedRules.length;
-  var actionResult = matchedRule.action ? matchedRule.action(this) : this.discard();
-  var hasRejection = this.rejectedRules.length > rejectedBefore;
+/**
+ * Pull more input from reader if it is set.
+ *
+ * @return Either NEED_INPUT {@link Lexer.NEED_INPUT} or undefined to scan again.
+ *
+ * @private
+ */
+Lexer.prototype.readInput = function () {
+  if (!this.reader) {
+    return Lexer.NEED_INPUT;
+  }
 
-  // reset reject state if there is no rejection in last action
-  if (hasRejection) {
-    // ignore result if there is rejection in action
-    return;
+  var chunk = this.reader();
+  if (this.isThenable(chunk)) {
+    if (!this.asyncMode) {
+      throw new Error('Unable to read input asynchronously, use lexAsync()');
+    }
+    return chunk.then(this.addChunk.bind(this));
   }
+  this.addChunk(chunk);
+};
 
-  this.rejectedRules = [];
+/**
+ * Add chunk returned by reader to input.
+ *
+ * @param {string} [chunk] Null or undefined marks end of input.
+ *
+ * @private
+ */
+Lexer.prototype.addChunk = function (chunk) {
+  if (chunk === null || chunk === undefined) {
+    this.endInput();
+  } else {
+    this.write(chunk);
+  }
+};
 
-  // rule action could change buffer or position, so EOF state could be changed too
-  // we need revalidate EOF only if EOF was identified before action were executed
-  if (isEOF) {
-    isEOF = this.index >= this.source.length;
+/**
+ * @private
+ */
+Lexer.prototype.isThenable = function (value) {
+  return !!value && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+};
+
+/**
+ * Move position to the beginning of input.
+ *
+ * @private
+ */
+Lexer.prototype.rewind = function () {
+  this.index = 0;
+  this.indexLine = 1;
+  this.indexColumn = 1;
+  this.bufferOffset = 0;
+  this.bufferColumn = 1;
+};
+
+/**
+ * Move current position to new index and keep line and column in sync.
+ *
+ * @param {number} index
+ *
+ * @private
+ */
+Lexer.prototype.moveIndex = function (index) {
+  if (index > this.index) {
+    for (var i = this.index; i < index; i++) {
+      if (this.source.charAt(i) === '\n') {
+        this.indexLine++;
+        this.indexColumn = 1;
+      } else {
+        this.indexColumn++;
+      }
+    }
+  } else if (index < this.index) {
+    var hasNewLine = false;
+    for (var i = index; i < this.index; i++) {
+      if (this.source.charAt(i) === '\n') {
+        this.indexLine--;
+        hasNewLine = true;
+      }
+    }
+    if (hasNewLine) {
+      var lineEnd = index > 0 ? this.source.lastIndexOf('\n', index - 1) : -1;
+      this.indexColumn = lineEnd === -1 ? this.bufferColumn + index : index - lineEnd;
+    } else {
+      this.indexColumn -= this.index - index;
+    }
   }
+  this.index = index;
+};
 
-  return isEOF ? this.terminate() : actionResult;
+/**
+ * Call listeners of hook.
+ *
+ * @param {string} hook
+ *
+ * @private
+ */
+Lexer.prototype.emit = function (hook) {
+  var listeners = this.listeners[hook];
+  if (!listeners.length) {
+    return;
+  }
+  var args = Array.prototype.slice.call(arguments, 1);
+  // listener could remove itself
+  listeners.slice().forEach(function (listener) {
+    listener.apply(this, args);
+  }, this);
 };
 
 /**
+ * Listener of match hook logging matched rule in debug mode.
+ *
  * @private
  */
-Lexer.prototype.logAccept = function (state, expression, value) {
+Lexer.prototype.logAccept = function (rule, value) {
   console.log(
-    ' - [' + state + '] accepting rule'+
-    ' /' + this.encodeString(expression.source) + '/' +
+    ' - [' + this.state + '] accepting rule' +
+    (rule.isEOF ? ' <<EOF>>' : ' /' + this.encodeString(rule.expression.source) + '/') +
     ' ("' + this.encodeString(value) + '")'
   );
 }
@@ -649,15 +2905,42 @@ Lexer.prototype.execRegExp = function (re) {
   return result ? result[0] : undefined;
 }
 
+/**
+ * Get full match of rule at current position.
+ *
+ * Combined expressions capture only matched text, so expression with groups
+ * is executed again.
+ *
+ * @param {Object} rule
+ * @param {string} value  Matched text.
+ *
+ * @return {Array} RegExp match.
+ *
+ * @private
+ */
+Lexer.prototype.getRegExpMatch = function (rule, value) {
+  if (rule.hasGroups) {
+    rule.expression.lastIndex = this.index;
+    return rule.expression.exec(this.source);
+  }
+  var match = [value];
+  match.index = this.index;
+  match.input = this.source;
+  return match;
+};
+
+/**
+ * @private
+ */
+Lexer.prototype.countRegExpGroups = function (re) {
+  return new RegExp(re.source + '|', re.flags.replace('y', '')).exec('').length - 1;
+};
+
 /**
  * @private
  */
 Lexer.prototype.compileRuleExpression = function (source, flags) {
-  for (var defName in this.definitions) {
-    var defExpression = this.definitions[defName];
-    var defNameRe = new RegExp('{' + defName + '}', 'ig');
-    source = source.replace(defNameRe, '(?:' + defExpression + ')');
-  }
+  source = this.expandDefinitions(source, []);
 
   if (this.ignoreCase && flags.indexOf('i') === -1) {
     flags += 'i';
@@ -668,6 +2951,139 @@ Lexer.prototype.compileRuleExpression = function (source, flags) {
   return new RegExp(source, flags + 'ym');
 };
 
+/**
+ * Get names of definitions referenced by expression.
+ *
+ * @private
+ */
+Lexer.prototype.getDefinitionReferences = function (source) {
+  var names = [];
+  this.replaceDefinitionReferences(source, function (name, reference) {
+    if (names.indexOf(name) === -1) {
+      names.push(name);
+    }
+    return reference;
+  });
+  return names;
+};
+
+/**
+ * Replace definition references with definition expressions recursively.
+ *
+ * @param {string}   source
+ * @param {string[]} path    Names of definitions being expanded.
+ *
+ * @private
+ */
+Lexer.prototype.expandDefinitions = function (source, path) {
+  return this.replaceDefinitionReferences(source, function (name) {
+    if (!Object.prototype.hasOwnProperty.call(this.definitions, name)) {
+      throw new Error('Unknown definition "' + name + '"');
+    }
+    if (path.indexOf(name) !== -1) {
+      throw new Error('Circular definition "' + path.concat(name).join('" -> "') + '"');
+    }
+    var expanded = this.expandDefinitions(this.definitions[name], path.concat(name));
+    return '(?:' + this.removeCapturingGroups(expanded, name) + ')';
+  }.bind(this));
+};
+
+/**
+ * Turn capturing groups of definition into non-capturing ones.
+ *
+ * Definition could be used many times and anywhere in expression, so its
+ * groups would shift numbers of rule groups.
+ *
+ * @param {string} source
+ * @param {string} name    Definition name.
+ *
+ * @private
+ */
+Lexer.prototype.removeCapturingGroups = function (source, name) {
+  var result = '';
+  var inClass = false;
+
+  for (var index = 0; index < source.length; index++) {
+    var char = source.charAt(index);
+
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(source.charAt(index + 1))) {
+        throw new Error('Definition "' + name + '" should not use backreferences');
+      }
+      result += source.substr(index, 2);
+      index++;
+      continue;
+    }
+
+    if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(' && source.charAt(index + 1) !== '?') {
+      result += '(?:';
+      continue;
+    } else if (char === '(' && /^\(\?<[^=!]/.test(source.substr(index, 4))) {
+      result += '(?:';
+      index = source.indexOf('>', index);
+      continue;
+    }
+
+    result += char;
+  }
+
+  return result;
+};
+
+/**
+ * Replace each {name} reference in expression with callback result.
+ *
+ * Quantifiers, escapes and character classes are kept as is.
+ *
+ * @param {string}   source
+ * @param {function} callback  Called with name and reference.
+ *
+ * @private
+ */
+Lexer.prototype.replaceDefinitionReferences = function (source, callback) {
+  var nameRegExp = new RegExp('^' + this.idRegExp.source + '$', this.idRegExp.flags);
+  var result = '';
+  var inClass = false;
+
+  for (var index = 0; index < source.length; index++) {
+    var char = source.charAt(index);
+    var end;
+
+    if (char === '\\') {
+      // unicode escapes and properties use braces too: \u{...}, \p{...}
+      end = /[upP]/.test(source.charAt(index + 1)) && source.charAt(index + 2) === '{'
+        ? source.indexOf('}', index)
+        : index + 1;
+      end = end === -1 ? index + 1 : end;
+      result += source.substring(index, end + 1);
+      index = end;
+      continue;
+    }
+
+    if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '{') {
+      end = source.indexOf('}', index);
+      var name = end === -1 ? '' : source.substring(index + 1, end);
+      if (nameRegExp.test(name)) {
+        result += callback(name, source.substring(index, end + 1));
+        index = end;
+        continue;
+      }
+    }
+
+    result += char;
+  }
+
+  return result;
+};
+
 /**
  * @private
  */
@@ -691,4 +3107,84 @@ Lexer.prototype.isRegExpMatchEOL = function(re) {
   return re.source.substr(-1) === '$';
 }
 
+/**
+ * Get trailing context expression if expression ends with lookahead.
+ *
+ * @private
+ */
+Lexer.prototype.getRegExpTrailingContext = function (re) {
+  var source = re.source;
+  var depth = 0;
+  var inClass = false;
+  var groupStart;
+
+  for (var index = 0; index < source.length; index++) {
+    var char = source.charAt(index);
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '|' && depth === 0) {
+      // lookahead at the end belongs to the last alternative only
+      return undefined;
+    } else if (char === '(') {
+      if (depth === 0) {
+        groupStart = index;
+      }
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    }
+  }
+
+  if (groupStart === undefined
+    || source.substr(groupStart, 3) !== '(?='
+    || source.charAt(source.length - 1) !== ')'
+    || this.findGroupEnd(source, groupStart) !== source.length - 1
+  ) {
+    return undefined;
+  }
+
+  var trailing = source.substring(groupStart + 3, source.length - 1);
+
+  // trailing context is executed alone, so group numbers would be different
+  if (/(^|[^\\])(\\\\)*\\([1-9]|k<)/.test(trailing)) {
+    throw new Error('Backreferences are not supported in trailing context');
+  }
+
+  return new RegExp(trailing, re.flags);
+};
+
+/**
+ * Find index of closing parenthesis for group started at given index.
+ *
+ * @private
+ */
+Lexer.prototype.findGroupEnd = function (source, start) {
+  var depth = 0;
+  var inClass = false;
+
+  for (var index = start; index < source.length; index++) {
+    var char = source.charAt(index);
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+
+  return -1;
+};
+
 module.exports = Lexer;
@@ -84,6 +84,33 @@ describe('Lexer', function() {
     expect(lexer).with.deep.nested.property('rules.INITIAL.0.expression.source').to.equal('(?:[0-9])\\.(?:[0-9])');
   });
 
+  it('#addStateRule() use nested definitions', function() {
+    var lexer = new Lexer();
+    lexer.addDefinition('NUMBER', /{INTEGER}(\.{INTEGER})?/);
+    lexer.addDefinition('INTEGER', /{DIGIT}+/);
+    lexer.addDefinition('DIGIT', /[0-9]/);
+    lexer.addRule(/{NUMBER}[{}]\{DIGIT}{2,3}/);
+    expect(lexer.rules.INITIAL[0].expression.source)
+      .to.equal('(?:(?:(?:[0-9])+)(?:\\.(?:(?:[0-9])+))?)[{}]\\{DIGIT}{2,3}');
+  });
+
+  it('#addStateRule() should not accept unknown and circular definitions', function() {
+    var lexer = new Lexer();
+    lexer.addDefinition('DIGIT', /[0-9]/);
+    lexer.addDefinition('A', /a{B}/);
+    lexer.addDefinition('B', /b{C}/);
+    lexer.addDefinition('C', /c{A}/);
+    expect(function () {
+      lexer.addRule(/{DIGT}+/);
+    }).to.throw('Unknown definition "DIGT"');
+    expect(function () {
+      lexer.addRule(/{digit}+/);
+    }).to.throw('Unknown definition "digit"');
+    expect(function () {
+      lexer.addRule(/{A}/);
+    }).to.throw('Circular definition "A" -> "B" -> "C" -> "A"');
+  });
+
   it('#lex() - echo all', function() {
     var output = '';
     var lexer = new Lexer();
@@ -516,4 +543,1297 @@ describe('Lexer', function() {
       lexer.lex();
     }).to.throw('Bad escape sequence');
   });
+
+  it('should track line and column of matched text', function() {
+    var positions = [];
+    var lexer = new Lexer();
+    lexer.addRule(/[a-z]+/, function (lexer) {
+      positions.push([lexer.text, lexer.start, lexer.end, lexer.line, lexer.column]);
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('foo bar\n  baz\n\nqux');
+    lexer.lex();
+    expect(positions).to.eql([
+      ['foo', 0, 3, 1, 1],
+      ['bar', 4, 7, 1, 5],
+      ['baz', 10, 13, 2, 3],
+      ['qux', 15, 18, 4, 1]
+    ]);
+  });
+
+  it('should track position across #more(), #less() and #reject()', function() {
+    var positions = [];
+    var lexer = new Lexer();
+    lexer.addRule('a\n', function (lexer) {
+      lexer.more();
+    });
+    lexer.addRule('frob', function (lexer) {
+      lexer.reject();
+    });
+    lexer.addRule(/[a-z]+/, function (lexer) {
+      positions.push([lexer.text, lexer.start, lexer.end, lexer.line, lexer.column]);
+      if (lexer.text === 'a\nfoobar') {
+        lexer.less(4);
+        positions.push([lexer.text, lexer.start, lexer.end, lexer.line, lexer.column]);
+      }
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('a\nfoobar\n frob');
+    lexer.lex();
+    expect(positions).to.eql([
+      ['a\nfoobar', 0, 8, 1, 1],
+      ['a\nfo', 0, 4, 1, 1],
+      ['obar', 4, 8, 2, 3],
+      ['frob', 10, 14, 3, 2]
+    ]);
+  });
+
+  it('should track position across #input(), #unput() and #restart()', function() {
+    var positions = [];
+    var restarted = false;
+    var lexer = new Lexer();
+    lexer.addRule('/*', function (lexer) {
+      while (lexer.input() !== '/') {
+        // skip comment
+      }
+    });
+    lexer.addRule('x', function (lexer) {
+      lexer.unput('\ny');
+    });
+    lexer.addRule(/[a-wyz]+/, function (lexer) {
+      positions.push([lexer.text, lexer.start, lexer.end, lexer.line, lexer.column]);
+    });
+    lexer.addRule(/\s+/);
+    lexer.addRule(Lexer.RULE_EOF, function (lexer) {
+      if (!restarted) {
+        restarted = true;
+        lexer.restart('end');
+      }
+    });
+    lexer.setSource('/* a\nb */ cx');
+    lexer.lex();
+    expect(positions).to.eql([
+      ['c', 10, 11, 2, 6],
+      ['y', 13, 14, 3, 1],
+      ['end', 0, 3, 1, 1]
+    ]);
+  });
+
+  it('#write() should hold back token reaching end of chunk', function() {
+    var lexer = new Lexer();
+    lexer.addRule(/[a-z]+/, function (lexer) {
+      return lexer.text + '@' + lexer.start + ':' + lexer.line + ':' + lexer.column;
+    });
+    lexer.addRule(/\s+/);
+    lexer.setMaxTokenLength(3);
+    lexer.write('foo ba');
+    expect(lexer.lex()).to.equal('foo@0:1:1');
+    expect(lexer.lex()).to.equal(Lexer.NEED_INPUT);
+    lexer.write('r\nb');
+    expect(lexer.lex()).to.equal('bar@4:1:5');
+    expect(lexer.lex()).to.equal(Lexer.NEED_INPUT);
+    lexer.write('az');
+    expect(lexer.lex()).to.equal(Lexer.NEED_INPUT);
+    lexer.endInput();
+    expect(lexer.lex()).to.equal('baz@8:2:1');
+    expect(lexer.lex()).to.equal(Lexer.EOF);
+  });
+
+  it('#write() should resolve longest match across chunks', function() {
+    var output = '';
+    var lexer = new Lexer();
+    lexer.echo = function () {  // redirect echo to variable
+      output += this.text;
+    };
+    lexer.addRule('<', function () { return 'LT'; });
+    lexer.addRule('<=', function () { return 'LE'; });
+    lexer.addRule(/^#.*$/, function () { return 'COMMENT'; });
+    lexer.setMaxTokenLength(2);
+    lexer.write('a<');
+    expect(lexer.lexAll()).to.eql([]);
+    lexer.write('=b\n#');
+    expect(lexer.lexAll()).to.eql(['LE']);
+    lexer.endInput(' x');
+    expect(lexer.lexAll()).to.eql(['COMMENT']);
+    expect(output).to.equal('ab\n');
+  });
+
+  it('#write() should resolve longer rule when shorter one matches across chunks', function() {
+    var output = '';
+    var lexer = new Lexer();
+    lexer.setOutput(function (text) {
+      output += text;
+    });
+    lexer.addRule('a', function () { return 'A'; });
+    lexer.addRule('abc', function () { return 'ABC'; });
+    lexer.write('x ab');
+    expect(lexer.lexAll()).to.eql([]);
+    lexer.endInput('c');
+    expect(lexer.lexAll()).to.eql(['ABC']);
+    expect(output).to.equal('x ');
+
+    lexer.setMaxTokenLength(1);
+    lexer.setSource('');
+    lexer.write('x ab');
+    expect(lexer.lexAll()).to.eql(['A']);
+
+    expect(function () {
+      lexer.setMaxTokenLength(-1);
+    }).to.throw('Invalid max token length: should be non-negative number');
+  });
+
+  it('#write() should not confuse NEED_INPUT with token returned by action', function() {
+    var lexer = new Lexer();
+    lexer.addRule(/-/, function () { return -1; });
+    lexer.write('-');
+    expect(lexer.lex()).to.equal(Lexer.NEED_INPUT);
+    lexer.endInput('-');
+    expect(lexer.lexAll()).to.eql([-1, -1]);
+  });
+
+  it('#setReader() should pull input from reader', function() {
+    var chunks = ['12', '3 4', '5 ', '6'];
+    var lexer = new Lexer();
+    lexer.addRule(/\d+/, function (lexer) {
+      return parseInt(lexer.text, 10);
+    });
+    lexer.addRule(/\s+/);
+    lexer.setReader(function () {
+      return chunks.length ? chunks.shift() : null;
+    });
+    expect(lexer.lexAll()).to.eql([123, 45, 6]);
+  });
+
+  it('#pushBuffer() should scan included buffer and resume previous one', function() {
+    var files = {
+      'a.txt': 'a1 #include b.txt a2',
+      'b.txt': 'b1\nb2'
+    };
+    var eofs = [];
+    var lexer = new Lexer();
+    lexer.addState('include', true);
+    lexer.addRule('#include', function (lexer) {
+      lexer.begin('include');
+    });
+    lexer.addStateRule('include', /\s+/);
+    lexer.addStateRule('include', /[^\s]+/, function (lexer) {
+      lexer.begin(Lexer.STATE_INITIAL);
+      lexer.pushBuffer(files[lexer.text], lexer.text);
+    });
+    lexer.addRule(/\w+/, function (lexer) {
+      return lexer.bufferName + ':' + lexer.text + '@' + lexer.line + ':' + lexer.column;
+    });
+    lexer.addRule(/\s+/);
+    lexer.addRule(Lexer.RULE_EOF, function (lexer) {
+      eofs.push(lexer.bufferName);
+    });
+    lexer.setSource(files['a.txt'], 'a.txt');
+    expect(lexer.lexAll()).to.eql([
+      'a.txt:a1@1:1',
+      'b.txt:b1@1:1',
+      'b.txt:b2@2:1',
+      'a.txt:a2@1:19'
+    ]);
+    expect(eofs).to.eql(['b.txt', 'a.txt']);
+  });
+
+  it('#write() should append streamed input to the first buffer', function() {
+    var lexer = new Lexer();
+    lexer.addRule('#inc', function (lexer) {
+      lexer.pushBuffer('x y', 'inc');
+    });
+    lexer.addRule(/[a-z]+/, function (lexer) {
+      return (lexer.bufferName ? lexer.bufferName + ':' : '') + lexer.text + '@' + lexer.start;
+    });
+    lexer.addRule(/\s+/);
+    lexer.setMaxTokenLength(0);
+
+    lexer.write('a #inc b ');
+    expect(lexer.lex()).to.equal('a@0');
+    expect(lexer.lex()).to.equal('inc:x@0');
+    lexer.write('c ');
+    lexer.endInput();
+    expect(lexer.lexAll()).to.eql(['inc:y@2', 'b@7', 'c@9']);
+  });
+
+  it('#popBuffer() should restore saved state', function() {
+    var lexer = new Lexer();
+    lexer.addState('inner', true);
+    lexer.addRule('x', function (lexer) {
+      lexer.pushBuffer('yy');
+      lexer.begin('inner');
+    });
+    lexer.addStateRule('inner', 'y', function (lexer) {
+      return lexer.state + ':' + lexer.text;
+    });
+    lexer.addRule(/./, function (lexer) {
+      return lexer.state + ':' + lexer.text;
+    });
+    lexer.setSource('axb');
+    expect(lexer.lexAll()).to.eql(['INITIAL:a', 'inner:y', 'inner:y', 'INITIAL:b']);
+    expect(function () {
+      lexer.popBuffer();
+    }).to.throw('Unable to pop buffer');
+  });
+
+  it('#setWrap() should continue with next input', function() {
+    var files = ['a /* b', 'c */ d', 'e'];
+    var eofs = 0;
+    var lexer = new Lexer();
+    lexer.addState('comment', true);
+    lexer.addRule('/*', function (lexer) {
+      lexer.begin('comment');
+    });
+    lexer.addStateRule('comment', '*/', function (lexer) {
+      lexer.begin(Lexer.STATE_INITIAL);
+    });
+    lexer.addStateRule('comment', /./);
+    lexer.addRule(/\w+/, function (lexer) {
+      return lexer.bufferName + ':' + lexer.text;
+    });
+    lexer.addRule(/\s+/);
+    lexer.addRule(Lexer.RULE_EOF, function () {
+      eofs++;
+    });
+    lexer.setWrap(function () {
+      return files.length ? { source: files.shift(), name: String(3 - files.length) } : null;
+    });
+    expect(lexer.lexAll()).to.eql(['1:a', '2:d', '3:e']);
+    expect(eofs).to.equal(1);
+  });
+
+  it('#setOutput() should accumulate echo into string', function() {
+    var lexer = new Lexer();
+    lexer.setOutput(Lexer.OUTPUT_STRING);
+    lexer.addRule('zap me');
+    lexer.setSource('bla zap me bla');
+    lexer.lex();
+    expect(lexer.getOutput()).to.equal('bla  bla');
+  });
+
+  it('#setOutput() should write echo into stream or callback', function() {
+    var chunks = [];
+    var lexer = new Lexer();
+    lexer.setOutput({
+      write: function (text) {
+        chunks.push(text);
+      }
+    });
+    lexer.addRule(/\w+/, function (lexer) {
+      lexer.echo();
+    });
+    lexer.setSource('ab c');
+    lexer.lex();
+    expect(chunks).to.eql(['ab', ' ', 'c']);
+
+    var output = '';
+    lexer.setOutput(function (text) {
+      output += text;
+    });
+    lexer.setSource('d e');
+    lexer.lex();
+    expect(output).to.equal('d e');
+
+    expect(function () {
+      lexer.setOutput({});
+    }).to.throw('Invalid output');
+  });
+
+  it('#setStructuredTokens() should wrap tokens into objects', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addState('str', true);
+    lexer.addRule(/\d+/, function (lexer) {
+      lexer.value = parseInt(lexer.text, 10);
+      return 'NUMBER';
+    });
+    lexer.addRule('"', function (lexer) {
+      lexer.begin('str');
+    });
+    lexer.addStateRule('str', /[^"]*"/, function (lexer) {
+      lexer.begin(Lexer.STATE_INITIAL);
+      return 'STRING';
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('12\n"a b"');
+    expect(lexer.lexAll()).to.eql([
+      { type: 'NUMBER', value: 12, text: '12', start: 0, end: 2, line: 1, column: 1, state: 'INITIAL', stateStack: [], buffer: undefined },
+      { type: 'STRING', value: 'a b"', text: 'a b"', start: 4, end: 8, line: 2, column: 2, state: 'str', stateStack: [], buffer: undefined }
+    ]);
+  });
+
+  it('should be iterable', function() {
+    var lexer = new Lexer();
+    lexer.addRule(/\w+/, function (lexer) {
+      return lexer.text;
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('a b c');
+    expect(Array.from(lexer)).to.eql(['a', 'b', 'c']);
+
+    lexer.setSource('d e');
+    var iterator = lexer[Symbol.iterator]();
+    expect(iterator.next()).to.eql({ done: false, value: 'd' });
+    expect(iterator.next()).to.eql({ done: false, value: 'e' });
+    expect(iterator.next()).to.eql({ done: true, value: undefined });
+  });
+
+  it('#setCombinedMatching() should not change matching result', function() {
+    var results = [true, false].map(function (combinedMatching) {
+      var output = [];
+      var lexer = new Lexer();
+      lexer.setCombinedMatching(combinedMatching);
+      var action = function (name) {
+        return function (lexer) {
+          output.push(name + ':' + lexer.text);
+        };
+      };
+      lexer.addRule('if', action('if'));
+      lexer.addRule(/IF|ELSE/i, action('keyword'));
+      lexer.addRule('frob', function (lexer) {
+        output.push('frob:' + lexer.text);
+        lexer.reject();
+      });
+      lexer.addRule(/[a-z]+/, action('id'));
+      lexer.addRule(/(["'])[^"']*\1/, action('string'));
+      lexer.addRule(/^#.*/, action('directive'));
+      lexer.addRule(/#.*$/, action('comment'));
+      lexer.addRule(/(a)(b)?!/, action('ab'));
+      lexer.addRule(/\s+/);
+      lexer.setSource('if else Else frob "a" \'c\' ab!\n#x\ny #z\n');
+      lexer.lex();
+      return output;
+    });
+    expect(results[0]).to.eql(results[1]);
+    expect(results[0]).to.eql([
+      'if:if', 'keyword:else', 'keyword:Else', 'frob:frob', 'id:frob', 'string:"a"',
+      'string:\'c\'', 'ab:ab!', 'directive:#x', 'id:y', 'comment:#z'
+    ]);
+  });
+
+  it('#setCombinedMatching() should match case insensitive string rules', function() {
+    var results = [true, false].map(function (combinedMatching) {
+      var lexer = new Lexer();
+      lexer.setCombinedMatching(combinedMatching);
+      lexer.setIgnoreCase(true);
+      lexer.addRule('begin', function () { return 'BEGIN'; });
+      lexer.addRule('\n', function () { return 'NL'; });
+      lexer.addRule('ÿes', function () { return 'YES'; });
+      lexer.addRule(/./, function (lexer) { return lexer.text; });
+      lexer.setSource('BeGiN\nŸES');
+      return lexer.lexAll();
+    });
+    expect(results[0]).to.eql(results[1]);
+    expect(results[0]).to.eql(['BEGIN', 'NL', 'YES']);
+  });
+
+  it('should count trailing context as a part of the match', function() {
+    [true, false].forEach(function (combinedMatching) {
+      var lexer = new Lexer();
+      lexer.setCombinedMatching(combinedMatching);
+      lexer.addDefinition('ALNUM', /[A-Z0-9]/);
+      lexer.addRule(/DO(?={ALNUM}*={ALNUM}*,)/, function (lexer) {
+        return 'KEYWORD:' + lexer.text;
+      });
+      lexer.addRule(/[A-Z]{ALNUM}*/, function (lexer) {
+        return 'ID:' + lexer.text;
+      });
+      lexer.addRule(/\d+(\.\d+)?/, function (lexer) {
+        return 'NUMBER:' + lexer.text;
+      });
+      lexer.addRule(/[=,]/);
+      lexer.addRule(/\s+/);
+      lexer.setSource('DO10I=1,5\nDO10I=1.5');
+      expect(lexer.lexAll()).to.eql([
+        'KEYWORD:DO', 'NUMBER:10', 'ID:I', 'NUMBER:1', 'NUMBER:5',
+        'ID:DO10I', 'NUMBER:1.5'
+      ]);
+    });
+
+    var lexer = new Lexer();
+    lexer.addRule(/(["'])a(?=\\1)/);
+    expect(function () {
+      lexer.addRule(/(["'])a(?=\1)/);
+    }).to.throw('Backreferences are not supported in trailing context');
+  });
+
+  it('#setNoDefault() should throw positioned error for unmatched character', function() {
+    var lexer = new Lexer();
+    lexer.setNoDefault(true);
+    lexer.addState('str', true);
+    lexer.addRule(/\w+/, function (lexer) {
+      return lexer.text;
+    });
+    lexer.addRule('"', function (lexer) {
+      lexer.begin('str');
+    });
+    lexer.addStateRule('str', /[a-z]+/);
+    lexer.addRule(/\s+/);
+    lexer.setSource('foo\n\tbar "baz@" qux', 'test.txt');
+
+    var error;
+    try {
+      lexer.lexAll();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an.instanceof(Lexer.LexerError);
+    expect(error).to.be.an.instanceof(Error);
+    expect(error.message).to.equal('Unexpected character "@" at line 2, column 10 in test.txt');
+    expect(error.offset).to.equal(13);
+    expect(error.line).to.equal(2);
+    expect(error.column).to.equal(10);
+    expect(error.state).to.equal('str');
+    expect(error.buffer).to.equal('test.txt');
+    expect(error.snippet).to.equal('\tbar "baz@" qux\n\t        ^');
+  });
+
+  it('#setErrorHandler() should handle unmatched character', function() {
+    var errors = [];
+    var lexer = new Lexer();
+    lexer.setNoDefault(true);
+    lexer.setErrorHandler(function (error, lexer) {
+      errors.push(error.column + ':' + lexer.text);
+      return 'ERROR';
+    });
+    lexer.addRule(/\w+/, function (lexer) {
+      return lexer.text;
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('a $b %');
+    expect(lexer.lexAll()).to.eql(['a', 'ERROR', 'b', 'ERROR']);
+    expect(errors).to.eql(['3:$', '6:%']);
+  });
+
+  it('#setRecovery() should collect diagnostics and keep scanning', function() {
+    var createLexer = function (recovery) {
+      var lexer = new Lexer();
+      lexer.setNoDefault(true);
+      lexer.setRecovery(recovery);
+      lexer.addRule(/[a-z]+/, function (lexer) {
+        return lexer.text;
+      });
+      lexer.addRule(/[;\s]/);
+      lexer.setSource('a @#b c;\n%$ d');
+      return lexer;
+    };
+
+    var lexer = createLexer(Lexer.RECOVERY_SKIP_CHAR);
+    expect(lexer.lexAll()).to.eql(['a', 'b', 'c', 'd']);
+    expect(lexer.diagnostics.map(function (error) {
+      return [error.message, error.offset, error.length];
+    })).to.eql([
+      ['Unexpected character "@" at line 1, column 3', 2, 1],
+      ['Unexpected character "#" at line 1, column 4', 3, 1],
+      ['Unexpected character "%" at line 2, column 1', 9, 1],
+      ['Unexpected character "$" at line 2, column 2', 10, 1]
+    ]);
+
+    lexer = createLexer(Lexer.RECOVERY_SKIP_TO_WHITESPACE);
+    expect(lexer.lexAll()).to.eql(['a', 'c', 'd']);
+    expect(lexer.diagnostics.map(function (error) {
+      return error.message;
+    })).to.eql([
+      'Unexpected input "@#b" at line 1, column 3',
+      'Unexpected input "%$" at line 2, column 1'
+    ]);
+
+    lexer = createLexer(/;/);
+    expect(lexer.lexAll()).to.eql(['a']);
+    expect(lexer.diagnostics.map(function (error) {
+      return error.message;
+    })).to.eql([
+      'Unexpected input "@#b c" at line 1, column 3',
+      'Unexpected input "%$ d" at line 2, column 1'
+    ]);
+
+    lexer = createLexer(function () {
+      return 1;
+    });
+    expect(lexer.lexAll()).to.eql(['a', 'b', 'c', 'd']);
+    expect(lexer.diagnostics.length).to.equal(2);
+
+    lexer.setSource('x');
+    expect(lexer.diagnostics).to.eql([]);
+  });
+
+  it('#setErrorToken() should return skipped input as error token', function() {
+    var lexer = new Lexer();
+    lexer.setNoDefault(true);
+    lexer.setStructuredTokens(true);
+    lexer.setRecovery(Lexer.RECOVERY_SKIP_TO_WHITESPACE);
+    lexer.setErrorToken('ERROR');
+    lexer.addRule(/\d+/, function () {
+      return 'NUMBER';
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('1 2x3 4');
+    expect(lexer.lexAll().map(function (token) {
+      return [token.type, token.text, token.start, token.end];
+    })).to.eql([
+      ['NUMBER', '1', 0, 1],
+      ['NUMBER', '2', 2, 3],
+      ['ERROR', 'x3', 3, 5],
+      ['NUMBER', '4', 6, 7]
+    ]);
+    expect(lexer.diagnostics.length).to.equal(1);
+  });
+
+  it('#reportError() should add error for current token into diagnostics', function() {
+    var lexer = new Lexer();
+    lexer.addRule(/"[^"\n]*$/, function (lexer) {
+      lexer.reportError('Unterminated string');
+    });
+    lexer.addRule(/[\s\S]/);
+    lexer.setSource('a\n b "cd\ne');
+    lexer.lex();
+    expect(lexer.diagnostics.length).to.equal(1);
+    expect(lexer.diagnostics[0].message).to.equal('Unterminated string at line 2, column 4');
+    expect(lexer.diagnostics[0].offset).to.equal(5);
+    expect(lexer.diagnostics[0].length).to.equal(3);
+    expect(lexer.diagnostics[0].snippet).to.equal(' b "cd\n   ^');
+  });
+
+  it('#relex() should re-scan only changed tokens', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addRule(/[a-z]+/, function () {
+      return 'ID';
+    });
+    lexer.addRule(/\d+/, function () {
+      return 'NUMBER';
+    });
+    lexer.addRule(/\s+/);
+
+    var source = 'a 12\nbc 3 d';
+    lexer.setSource(source);
+    var tokens = lexer.lexAll();
+
+    var result = lexer.relex(source, tokens, { offset: 3, deleted: 1, inserted: '45 x\n6' });
+    expect(result.source).to.equal('a 145 x\n6\nbc 3 d');
+
+    lexer.setSource(result.source);
+    expect(result.tokens).to.eql(lexer.lexAll());
+    expect(result.start).to.equal(1);
+    expect(result.end).to.equal(4);
+    expect(result.removed).to.equal(1);
+    expect(result.tokens[4]).to.not.equal(tokens[2]);
+    expect(result.tokens[5].line).to.equal(3);
+    expect(result.tokens[5].column).to.equal(4);
+  });
+
+  it('#relex() should re-scan until state is synchronized', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addState('COMMENT', true);
+    lexer.addRule('/*', function (lexer) {
+      lexer.begin('COMMENT');
+    });
+    lexer.addStateRule('COMMENT', '*/', function (lexer) {
+      lexer.begin();
+    });
+    lexer.addStateRule('COMMENT', /[\s\S]/);
+    lexer.addRule(/[a-z]+/, function () {
+      return 'ID';
+    });
+    lexer.addRule(/\s+/);
+
+    var source = 'a b /* c */ d e';
+    lexer.setSource(source);
+    var tokens = lexer.lexAll();
+    expect(tokens.length).to.equal(4);
+
+    var result = lexer.relex(source, tokens, { offset: 2, deleted: 1, inserted: '/*' });
+    expect(result.tokens.map(function (token) {
+      return token.text;
+    })).to.eql(['a', 'd', 'e']);
+    expect(result.start).to.equal(1);
+    expect(result.end).to.equal(1);
+    expect(result.removed).to.equal(1);
+
+    result = lexer.relex(result.source, result.tokens, { offset: 2, deleted: 2, inserted: 'b' });
+    expect(result.source).to.equal(source);
+    expect(result.tokens).to.eql(tokens);
+  });
+
+  it('#relex() should re-scan edit before the first token', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addRule(/[a-z]+/, function () {
+      return 'ID';
+    });
+    lexer.addRule(/\s+/);
+
+    lexer.setSource('  b');
+    var result = lexer.relex('  b', lexer.lexAll(), { offset: 0, inserted: 'x ' });
+    expect(result.source).to.equal('x   b');
+    expect(result.tokens.map(function (token) {
+      return token.text + '@' + token.start;
+    })).to.eql(['x@0', 'b@4']);
+  });
+
+  it('#relex() should restore state stack', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addState('GROUP');
+    lexer.addRule('(', function (lexer) {
+      lexer.pushState('GROUP');
+      return 'OPEN';
+    });
+    lexer.addStateRule('GROUP', ')', function (lexer) {
+      lexer.popState();
+      return 'CLOSE';
+    });
+    lexer.addRule(/[a-z]/, function () {
+      return 'ID';
+    });
+
+    var source = '((a)b)c';
+    lexer.setSource(source);
+    var tokens = lexer.lexAll();
+    expect(tokens[2].stateStack).to.eql(['INITIAL', 'GROUP']);
+
+    var result = lexer.relex(source, tokens, { offset: 3, inserted: 'x' });
+    lexer.setSource(result.source);
+    expect(result.tokens).to.eql(lexer.lexAll());
+    expect(result.start).to.equal(3);
+    expect(result.end).to.equal(5);
+    expect(result.removed).to.equal(1);
+  });
+
+  it('#saveState() and #restoreState() should roll back scanning', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addState('STRING', true);
+    lexer.addRule('"', function (lexer) {
+      lexer.pushState('STRING');
+    });
+    lexer.addStateRule('STRING', '"', function (lexer) {
+      lexer.popState();
+    });
+    lexer.addStateRule('STRING', /[^"]+/, function () {
+      return 'STRING';
+    });
+    lexer.addRule(/[a-z]+/, function () {
+      return 'ID';
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('a "b c" d\ne');
+
+    expect(lexer.lex().text).to.equal('a');
+    var snapshot = lexer.saveState();
+    expect(Object.isFrozen(snapshot)).to.equal(true);
+    expect(Object.isFrozen(snapshot.stateStack)).to.equal(true);
+
+    var tokens = [lexer.lex(), lexer.lex(), lexer.lex()];
+    expect(lexer.lex()).to.equal(Lexer.EOF);
+
+    lexer.restoreState(snapshot);
+    expect(lexer.state).to.equal(Lexer.STATE_INITIAL);
+    expect(lexer.stateStack).to.eql([]);
+    expect(lexer.lex()).to.eql(tokens[0]);
+    expect(lexer.state).to.equal('STRING');
+
+    lexer.restoreState(JSON.parse(JSON.stringify(snapshot)));
+    expect(lexer.lexAll()).to.eql(tokens);
+    expect(tokens[2].line).to.equal(2);
+
+    expect(function () {
+      lexer.restoreState({});
+    }).to.throw('Invalid snapshot');
+  });
+
+  it('#saveState() should not share scanner values with snapshot', function() {
+    var lexer = new Lexer();
+    lexer.addState('INNER');
+    lexer.addRule(/[a-z]/, function (lexer) {
+      lexer.pushState('INNER');
+      return lexer.text;
+    });
+    lexer.addRule(/\s+/);
+    lexer.setSource('a b c');
+    lexer.lex();
+    lexer.peek(1);
+
+    var snapshot = lexer.saveState();
+    expect(snapshot.matchedStateStack).to.not.equal(lexer.matchedStateStack);
+    expect(snapshot.aheadState).to.not.equal(lexer.aheadState);
+    expect(snapshot.lookahead[0].tokenState).to.not.equal(lexer.lookahead[0].tokenState);
+    [
+      snapshot.matchedStateStack,
+      snapshot.aheadState,
+      snapshot.aheadState.stateStack,
+      snapshot.lookahead[0].tokenState.stateStack
+    ].forEach(function (value) {
+      expect(Object.isFrozen(value)).to.equal(true);
+    });
+    expect(Object.isFrozen(lexer.aheadState)).to.equal(false);
+    expect(Object.isFrozen(lexer.lookahead[0].tokenState)).to.equal(false);
+
+    expect(lexer.lexAll()).to.eql(['b', 'c']);
+    lexer.restoreState(snapshot);
+    expect(lexer.lexAll()).to.eql(['b', 'c']);
+  });
+
+  it('#restoreState() should keep input streamed after snapshot', function() {
+    var chunks = ['a ', 'b ', 'c ', 'd'];
+    var lexer = new Lexer();
+    lexer.addRule(/[a-z]/, function (lexer) {
+      return lexer.text;
+    });
+    lexer.addRule(/\s+/);
+    lexer.setReader(function () {
+      return chunks.length ? chunks.shift() : null;
+    });
+
+    expect(lexer.lex()).to.equal('a');
+    var snapshot = lexer.saveState();
+    expect(lexer.lex()).to.equal('b');
+    expect(lexer.lex()).to.equal('c');
+    lexer.restoreState(snapshot);
+    expect(lexer.lexAll()).to.eql(['b', 'c', 'd']);
+
+    // reader and input are restored after end of input too
+    lexer.restoreState(snapshot);
+    expect(lexer.lexAll()).to.eql(['b', 'c', 'd']);
+
+    lexer.restoreState(snapshot);
+    expect(lexer.lex()).to.equal('b');
+    lexer.releaseStates();
+    expect(function () {
+      lexer.restoreState(snapshot);
+    }).to.throw('Unable to restore snapshot after releaseStates()');
+  });
+
+  it('#peek() should look ahead without consuming tokens', function() {
+    var lexer = new Lexer();
+    lexer.addState('VALUE', true);
+    lexer.addRule(/[a-z]+/, function () {
+      return 'KEY';
+    });
+    lexer.addRule('=', function (lexer) {
+      lexer.begin('VALUE');
+      return '=';
+    });
+    lexer.addStateRule('VALUE', /[^;]+/, function () {
+      return 'VALUE';
+    });
+    lexer.addStateRule('VALUE', ';', function (lexer) {
+      lexer.begin();
+    });
+    lexer.setSource('a=b c;d');
+
+    expect(lexer.lex()).to.equal('KEY');
+    expect(lexer.peek()).to.equal('=');
+    expect(lexer.peek(3)).to.equal('KEY');
+    expect(lexer.peek(4)).to.equal(Lexer.EOF);
+    expect(lexer.text).to.equal('a');
+    expect(lexer.state).to.equal(Lexer.STATE_INITIAL);
+
+    expect(lexer.lex()).to.equal('=');
+    expect(lexer.state).to.equal('VALUE');
+    expect(lexer.lex()).to.equal('VALUE');
+    expect(lexer.text).to.equal('b c');
+    expect(lexer.column).to.equal(3);
+    expect(lexer.lex()).to.equal('KEY');
+    expect(lexer.state).to.equal(Lexer.STATE_INITIAL);
+    expect(lexer.lex()).to.equal(Lexer.EOF);
+    expect(lexer.lex()).to.equal(Lexer.EOF);
+  });
+
+  it('#pushBack() should return token to lexer', function() {
+    var lexer = new Lexer();
+    lexer.addRule(/[a-z]/, function (lexer) {
+      return lexer.text;
+    });
+    lexer.setSource('abc');
+
+    var token = lexer.lex();
+    expect(lexer.peek()).to.equal('b');
+    lexer.pushBack(token);
+    expect(lexer.lexAll()).to.eql(['a', 'b', 'c']);
+
+    lexer.setSource('de');
+    lexer.pushBack('x');
+    expect(lexer.peek(2)).to.equal('d');
+    expect(lexer.lexAll()).to.eql(['x', 'd', 'e']);
+  });
+
+  it('#analyze() should report problems of rule set', function() {
+    var lexer = new Lexer();
+    lexer.addState('COMMENT', true);
+    lexer.addState('STRING', true);
+    lexer.addState('UNUSED', true);
+    lexer.addDefinition('DIGIT', /[0-9]/);
+    lexer.addDefinition('NUMBER', /{DIGIT}+/);
+    lexer.addDefinition('LETTER', /[a-z]/);
+    lexer.addRule(/[a-z]+/, function () {
+      return 'ID';
+    });
+    lexer.addRule('if', function () {
+      return 'IF';
+    });
+    lexer.addRule(/{NUMBER}/);
+    lexer.addRule(/\s*/);
+    lexer.addRule(/[a-z]+/);
+    lexer.addRule('/*', function (lexer) {
+      lexer.begin('COMMENT');
+    });
+    lexer.addStateRule('COMMENT', '*/', function (lexer) {
+      lexer.begin(Lexer.STATE_INITIAL);
+    });
+    lexer.addStateRule('COMMENT', /[^*]+/, function (lexer) {
+      lexer.reject();
+    });
+    lexer.addStateRule('COMMENT', '*');
+    lexer.addStateRule('COMMENT', 'end');
+
+    var report = lexer.analyze();
+    expect(report.shadowedRules.map(function (rule) {
+      return [rule.state, rule.index, rule.shadowedBy];
+    })).to.eql([
+      [Lexer.STATE_INITIAL, 1, 0],
+      [Lexer.STATE_INITIAL, 4, 0]
+    ]);
+    expect(report.emptyRules.map(function (rule) {
+      return [rule.state, rule.index, rule.expression.source];
+    })).to.eql([
+      [Lexer.STATE_INITIAL, 3, '\\s*']
+    ]);
+    expect(report.emptyStates).to.eql(['STRING', 'UNUSED']);
+    expect(report.unreachableStates).to.eql(['STRING', 'UNUSED']);
+    expect(report.unusedDefinitions).to.eql(['LETTER']);
+  });
+
+  it('#lexAsync() should await actions returning promises', function() {
+    var lexer = new Lexer();
+    var symbols = { a: 'first', b: 'second' };
+    var log = [];
+    lexer.setStructuredTokens(true);
+    lexer.addRule(/[a-z]/, function (lexer) {
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          lexer.value = symbols[lexer.text];
+          resolve('SYMBOL');
+        }, 1);
+      });
+    });
+    lexer.addRule(/\s+/, function () {
+      return Promise.resolve(undefined);
+    });
+    lexer.addRule(Lexer.RULE_EOF, function () {
+      return Promise.resolve().then(function () {
+        log.push('eof');
+      });
+    });
+    lexer.setSource('a b');
+
+    return lexer.lexAsync()
+      .then(function (token) {
+        expect([token.type, token.value, token.start]).to.eql(['SYMBOL', 'first', 0]);
+        return lexer.lexAsync();
+      })
+      .then(function (token) {
+        expect([token.type, token.value, token.start]).to.eql(['SYMBOL', 'second', 2]);
+        return lexer.lexAsync();
+      })
+      .then(function (token) {
+        expect(token).to.equal(Lexer.EOF);
+        expect(log).to.eql(['eof']);
+      });
+  });
+
+  it('should be async iterable with async reader', function() {
+    var lexer = new Lexer();
+    var chunks = ['ab', 'c d', 'e'];
+    lexer.addRule(/[a-z]+/, function (lexer) {
+      return lexer.text;
+    });
+    lexer.addRule(/\s+/);
+    lexer.setReader(function () {
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          resolve(chunks.length ? chunks.shift() : null);
+        }, 1);
+      });
+    });
+
+    var tokens = [];
+    var iterator = lexer[Symbol.asyncIterator]();
+    var next = function () {
+      return iterator.next().then(function (result) {
+        if (!result.done) {
+          tokens.push(result.value);
+          return next();
+        }
+      });
+    };
+
+    return next().then(function () {
+      expect(tokens).to.eql(['abc', 'de']);
+      lexer.setReader(function () {
+        return Promise.resolve(null);
+      });
+      expect(function () {
+        lexer.lex();
+      }).to.throw('use lexAsync()');
+    });
+  });
+
+  it('#compile() should create frozen grammar for independent scanners', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addState('STRING', true);
+    lexer.addDefinition('ID', /[a-z]+/);
+    lexer.addRule(/{ID}/, function () {
+      return 'ID';
+    });
+    lexer.addRule('"', function (lexer) {
+      lexer.begin('STRING');
+    });
+    lexer.addStateRule('STRING', /[^"]+/, function () {
+      return 'STRING';
+    });
+    lexer.addStateRule('STRING', '"', function (lexer) {
+      lexer.begin();
+    });
+    lexer.addRule(/\s+/);
+
+    var grammar = lexer.compile();
+    expect(Object.isFrozen(grammar)).to.equal(true);
+    expect(Object.isFrozen(grammar.rules.INITIAL)).to.equal(true);
+    expect(Object.isFrozen(grammar.rules.INITIAL[0])).to.equal(true);
+
+    lexer.addRule(/[0-9]+/, function () {
+      return 'NUMBER';
+    });
+    expect(grammar.rules.INITIAL.length).to.equal(3);
+
+    var a = grammar.createScanner();
+    var b = grammar.createScanner();
+    a.setSource('x "y z" w');
+    b.setSource('"p q" r');
+
+    var types = function (token) {
+      return token.type + ':' + token.text;
+    };
+    expect(types(a.lex())).to.equal('ID:x');
+    expect(types(b.lex())).to.equal('STRING:p q');
+    expect(types(a.lex())).to.equal('STRING:y z');
+    expect(b.state).to.equal('STRING');
+    expect(types(b.lex())).to.equal('ID:r');
+    expect(types(a.lex())).to.equal('ID:w');
+    expect(a.lex()).to.equal(Lexer.EOF);
+    expect(b.lex()).to.equal(Lexer.EOF);
+
+    expect(function () {
+      a.addRule('x');
+    }).to.throw('Unable to change configuration of scanner created from compiled grammar');
+
+    a.clear();
+    a.setSource('"s"');
+    expect(types(a.lex())).to.equal('STRING:s');
+  });
+
+  it('#toJSON() and #fromJSON() should round-trip configuration', function() {
+    var registry = {
+      number: function (lexer) {
+        lexer.value = parseInt(lexer.text, 10);
+        return 'NUMBER';
+      },
+      beginComment: function (lexer) {
+        lexer.begin('COMMENT');
+      },
+      endComment: function (lexer) {
+        lexer.begin();
+      }
+    };
+    function keyword() {
+      return 'KEYWORD';
+    }
+
+    var lexer = new Lexer();
+    lexer.setIgnoreCase(true);
+    lexer.setStructuredTokens(true);
+    lexer.setNoDefault(true);
+    lexer.setRecovery(/\s/);
+    lexer.setErrorToken('ERROR');
+    lexer.addState('COMMENT', true);
+    lexer.addDefinition('DIGIT', /[0-9]/);
+    lexer.addRule(/{DIGIT}+/, registry.number);
+    lexer.addRule('if', keyword);
+    lexer.addRule('/*', registry.beginComment);
+    lexer.addStateRule('COMMENT', '*/', registry.endComment);
+    lexer.addStateRule('COMMENT', /[\s\S]/);
+    lexer.addStateRule(Lexer.STATE_ANY, /\s+/);
+    lexer.addStateRule(Lexer.STATE_ANY, Lexer.RULE_EOF);
+
+    var json = JSON.parse(JSON.stringify(lexer.toJSON(registry)));
+    expect(json.states).to.eql({ INITIAL: false, COMMENT: true });
+    expect(json.definitions).to.eql({ DIGIT: '[0-9]' });
+    expect(json.rules[0]).to.eql({ expression: { source: '{DIGIT}+', flags: '' }, action: 'number' });
+    expect(json.rules[1]).to.eql({ expression: 'if', action: 'keyword' });
+    expect(json.stateRules).to.eql({ INITIAL: [0, 1, 2, 3, 4], COMMENT: [5, 6, 3, 4] });
+    expect(json.options.recovery).to.eql({ source: '\\s', flags: '' });
+
+    registry.keyword = keyword;
+    var copy = Lexer.fromJSON(JSON.stringify(json), registry);
+    expect(JSON.parse(JSON.stringify(copy.toJSON(registry)))).to.eql(json);
+
+    var source = 'IF 12 /* if */ x 3';
+    lexer.setSource(source);
+    copy.setSource(source);
+    expect(copy.lexAll()).to.eql(lexer.lexAll());
+
+    lexer.addRule(/x/, function () {});
+    expect(function () {
+      lexer.toJSON(registry);
+    }).to.throw('Unable to export action without name, add it into registry');
+    expect(function () {
+      Lexer.fromJSON(json, {});
+    }).to.throw('Unknown action "number"');
+  });
+
+  it('#addRules() should accept declarative rules', function() {
+    var lexer = new Lexer();
+    lexer.setStructuredTokens(true);
+    lexer.addState('STRING', true);
+    lexer.addRules([
+      { expression: /[0-9]+/, type: 'NUMBER', value: 'number' },
+      { expression: /"[^"]*"/, type: 'STRING', value: 'unquote' },
+      { expression: /[a-z]+/i, type: 'ID', value: 'lowercase' },
+      { expression: '`', push: 'STRING', skip: true },
+      { expression: /\s+/, skip: true }
+    ]);
+    lexer.addStateRules('STRING', [
+      { expression: /[^`]+/, type: 'TEXT', value: function (text) {
+        return text.split('');
+      } },
+      { expression: '`', pop: true }
+    ]);
+
+    lexer.setSource('Foo 12 "bar" `ab`');
+    expect(lexer.lexAll().map(function (token) {
+      return [token.type, token.value];
+    })).to.eql([
+      ['ID', 'foo'],
+      ['NUMBER', 12],
+      ['STRING', 'bar'],
+      ['TEXT', ['a', 'b']]
+    ]);
+    expect(lexer.analyze().unreachableStates).to.eql([]);
+
+    var json = lexer.toJSON({ chars: lexer.rules.STRING[0].declaration.value });
+    expect(json.rules[0].declaration).to.eql({ type: 'NUMBER', value: 'number' });
+    expect(json.rules[5].declaration.value).to.eql({ name: 'chars' });
+
+    expect(function () {
+      lexer.addRules([{ expression: 'x', type: 'X', action: function () {} }]);
+    }).to.throw('Rule could have either action or declaration');
+    expect(function () {
+      lexer.addRules([{ expression: 'x', value: 'hex' }]);
+    }).to.throw('Unknown value transform "hex"');
+    expect(function () {
+      lexer.addRules([{ expression: 'x', begin: 'UNKNOWN' }]);
+    }).to.throw('State "UNKNOWN" is not registered');
+  });
+
+  it('should expose groups of matched expression to action', function() {
+    [true, false].forEach(function (combinedMatching) {
+      var matches = [];
+      var lexer = new Lexer();
+      lexer.setCombinedMatching(combinedMatching);
+      lexer.addDefinition('KEY', /([a-z]+)/);
+      lexer.addRule(/{KEY}=(\w+)/, function (lexer) {
+        matches.push([lexer.match[0], lexer.match[1], lexer.match.length]);
+      });
+      lexer.addRule(/<<(?<delimiter>[A-Z]+)/, function (lexer) {
+        matches.push([lexer.groups.delimiter, lexer.match.index]);
+      });
+      lexer.addRule(/\s+/, function (lexer) {
+        matches.push([lexer.match[0], lexer.groups]);
+      });
+      lexer.addRule(Lexer.RULE_EOF, function (lexer) {
+        matches.push([lexer.match, lexer.groups]);
+      });
+
+      lexer.setSource('key=value <<EOF');
+      lexer.lex();
+      expect(matches).to.eql([
+        ['key=value', 'value', 2],
+        [' ', {}],
+        ['EOF', 10],
+        [null, undefined]
+      ]);
+    });
+
+    var lexer = new Lexer();
+    lexer.addDefinition('QUOTED', /(["'])[^"']*\1/);
+    expect(function () {
+      lexer.addRule(/{QUOTED}/);
+    }).to.throw('Definition "QUOTED" should not use backreferences');
+  });
+
+  it('should expose match indices of expression with "d" flag', function() {
+    try {
+      // built at runtime, so spec is parsed by engines without "d" flag
+      var expression = new RegExp('<<(?<delimiter>[A-Z]+)', 'd');
+    } catch (error) {
+      this.skip();
+    }
+
+    [true, false].forEach(function (combinedMatching) {
+      var indices = [];
+      var lexer = new Lexer();
+      lexer.setCombinedMatching(combinedMatching);
+      lexer.addRule(expression, function (lexer) {
+        indices.push(lexer.match.indices[1], lexer.match.indices.groups.delimiter);
+      });
+      lexer.addRule(/\s+/);
+
+      lexer.setSource(' <<EOF');
+      lexer.lex();
+      expect(indices).to.eql([[3, 6], [3, 6]]);
+    });
+  });
+
+  it('#on() should call listeners of lifecycle hooks', function() {
+    var events = [];
+    var lexer = new Lexer();
+    lexer.setOutput(function () {});
+    lexer.addState('COMMENT', true);
+    lexer.addRule('if', function (lexer) {
+      lexer.reject();
+    });
+    lexer.addRule(/[a-z]+/, function () {
+      return 'WORD';
+    });
+    lexer.addRule('#', function (lexer) {
+      lexer.pushState('COMMENT');
+    });
+    lexer.addStateRule('COMMENT', /\n/, function (lexer) {
+      lexer.popState();
+    });
+    lexer.addStateRule('COMMENT', /./);
+    lexer.addRule(Lexer.RULE_EOF);
+
+    var listeners = {};
+    ['token', 'match', 'stateChange', 'reject', 'defaultRule', 'eof'].forEach(function (hook) {
+      listeners[hook] = function () {
+        events.push([hook].concat(Array.prototype.slice.call(arguments).map(function (arg) {
+          if (arg && arg.pattern !== undefined) {
+            return arg.isEOF ? '<<EOF>>' : String(arg.pattern);
+          }
+          return arg;
+        })));
+      };
+      lexer.on(hook, listeners[hook]);
+    });
+
+    lexer.setSource('if ?#c\n', 'input');
+    expect(lexer.lexAll()).to.eql(['WORD']);
+    expect(events).to.eql([
+      ['match', 'if', 'if'],
+      ['reject', 'if', 'if'],
+      ['match', '/[a-z]+/', 'if'],
+      ['token', 'WORD'],
+      ['defaultRule', ' '],
+      ['defaultRule', '?'],
+      ['match', '#', '#'],
+      ['stateChange', 'INITIAL', 'COMMENT'],
+      ['match', '/./', 'c'],
+      ['match', '/\\n/', '\n'],
+      ['stateChange', 'COMMENT', 'INITIAL'],
+      ['match', '<<EOF>>', ''],
+      ['eof', 'input']
+    ]);
+
+    events = [];
+    lexer.off('match', listeners.match);
+    lexer.off('reject', listeners.reject);
+    lexer.setSource('x');
+    lexer.lexAll();
+    expect(events).to.eql([
+      ['token', 'WORD'],
+      ['eof', undefined]
+    ]);
+
+    expect(function () {
+      lexer.on('unknown', function () {});
+    }).to.throw('Unknown hook "unknown"');
+  });
+
+  it('#on() should call stateChange listeners once state is restored', function() {
+    var changes = [];
+    var lexer = new Lexer();
+    lexer.addState('STRING', true);
+    lexer.addRule('"', function (lexer) {
+      lexer.begin('STRING');
+    });
+    lexer.addStateRule('STRING', /[^"]+/, function (lexer) {
+      return lexer.text;
+    });
+    lexer.addStateRule('STRING', '"', function (lexer) {
+      lexer.begin();
+    });
+    lexer.addRule('@', function (lexer) {
+      lexer.pushBuffer('"b');
+    });
+    lexer.on('stateChange', function (from, to) {
+      changes.push([from, to, this.state]);
+    });
+
+    lexer.setSource('"a"');
+    var snapshot = lexer.saveState();
+    expect(lexer.lex()).to.equal('a');
+    lexer.restoreState(snapshot);
+    expect(changes).to.eql([
+      ['INITIAL', 'STRING', 'STRING'],
+      ['STRING', 'INITIAL', 'INITIAL']
+    ]);
+
+    changes = [];
+    lexer.setSource('@');
+    expect(lexer.lexAll()).to.eql(['b']);
+    expect(changes).to.eql([
+      ['INITIAL', 'STRING', 'STRING'],
+      // state of previous buffer is restored once pushed one is scanned
+      ['STRING', 'INITIAL', 'INITIAL']
+    ]);
+  });
+
+  it('#setDebugEnabled() should log matched rules by match listener', function() {
+    var events = [];
+    var log = console.log;
+    var lexer = new Lexer();
+    lexer.addRule(/[a-z]+/, function (lexer) {
+      events.push(['action', lexer.text]);
+    });
+    lexer.on('match', function (rule, text) {
+      events.push(['match', text]);
+    });
+    lexer.setDebugEnabled(true);
+
+    console.log = function (message) {
+      events.push(['log', message]);
+    };
+    try {
+      lexer.setSource('ab');
+      lexer.lex();
+      lexer.setDebugEnabled(false);
+      lexer.setSource('c');
+      lexer.lex();
+    } finally {
+      console.log = log;
+    }
+
+    expect(events).to.eql([
+      ['match', 'ab'],
+      ['log', ' - [INITIAL] accepting rule /[a-z]+/ ("ab")'],
+      ['action', 'ab'],
+      ['match', 'c'],
+      ['action', 'c']
+    ]);
+  });
 });
@@ -0,0 +1,32 @@
+/**
+ * Lexical error with position in source.
+ *
+ * @param {string} message
+ * @param {Object} [details]  Offset, length, line, column, state, buffer and snippet.
+ *
+ * @class LexerError
+ */
+function LexerError(message, details) {
+  details = details || {};
+
+  this.name = 'LexerError';
+  this.message = message;
+  this.offset = details.offset;
+  this.length = details.length;
+  this.line = details.line;
+  this.column = details.column;
+  this.state = details.state;
+  this.buffer = details.buffer;
+  this.snippet = details.snippet;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, LexerError);
+  } else {
+    this.stack = new Error(message).stack;
+  }
+}
+
+LexerError.prototype = Object.create(Error.prototype);
+LexerError.prototype.constructor = LexerError;
+
+module.exports = LexerError;
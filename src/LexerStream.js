@@ -0,0 +1,133 @@
+var Transform = require('stream').Transform;
+var StringDecoder = require('string_decoder').StringDecoder;
+var util = require('util');
+
+/**
+ * Object mode transform stream turning text chunks into tokens.
+ *
+ * Text chunks (strings or buffers) written into stream are passed to lexer
+ * with write(), tokens found so far are pushed to readable side. Once input
+ * is finished, end of input is marked, so <<EOF>> rules are executed and
+ * remaining tokens are pushed.
+ *
+ * Backpressure is handled per token: scanning stops once readable side is
+ * full and resumes when tokens are read, next chunk is not accepted until
+ * all tokens of previous chunk are pushed.
+ *
+ * @param {Lexer}  lexer               Configured lexer.
+ * @param {Object} [options]
+ * @param {number} [options.highWaterMark]  Number of tokens buffered before backpressure.
+ * @param {string} [options.encoding]       Encoding of buffer chunks, default is utf8.
+ *
+ * @class LexerStream
+ */
+function LexerStream(lexer, options) {
+  options = options || {};
+
+  Transform.call(this, {
+    highWaterMark: options.highWaterMark,
+    writableObjectMode: false,
+    readableObjectMode: true,
+    decodeStrings: false
+  });
+
+  this.lexer = lexer;
+  this.decoder = new StringDecoder(options.encoding || 'utf8');
+  this.finished = false;
+  this.pendingCallback = undefined;
+
+  lexer.setSource('');
+}
+
+util.inherits(LexerStream, Transform);
+
+/**
+ * Create transform stream for lexer.
+ *
+ * @param {Lexer}  lexer
+ * @param {Object} [options]
+ *
+ * @return {LexerStream}
+ *
+ * @public
+ */
+LexerStream.createLexerStream = function (lexer, options) {
+  return new LexerStream(lexer, options);
+};
+
+/**
+ * @private
+ */
+LexerStream.prototype._transform = function (chunk, encoding, callback) {
+  if (this.finished) {
+    // lexer was terminated by action, the rest of input is ignored
+    return callback();
+  }
+  this.lexer.write(typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+  this.pushTokens(callback);
+};
+
+/**
+ * @private
+ */
+LexerStream.prototype._flush = function (callback) {
+  if (this.finished) {
+    return callback();
+  }
+  this.lexer.endInput(this.decoder.end());
+  this.pushTokens(callback);
+};
+
+/**
+ * @private
+ */
+LexerStream.prototype._read = function (size) {
+  var callback = this.pendingCallback;
+  if (callback) {
+    // resume scanning of chunk paused by backpressure
+    this.pendingCallback = undefined;
+    this.pushTokens(callback);
+    if (this.pendingCallback) {
+      return;
+    }
+  }
+  // let transform accept next chunk once current one is scanned
+  Transform.prototype._read.call(this, size);
+};
+
+/**
+ * Push tokens found in buffered input.
+ *
+ * Scanning is paused when readable side is full, callback is kept until
+ * the rest of tokens is pushed.
+ *
+ * @param {function} callback
+ *
+ * @private
+ */
+LexerStream.prototype.pushTokens = function (callback) {
+  var Lexer = this.lexer.constructor;
+  var token;
+
+  try {
+    while ((token = this.lexer.lex()) !== Lexer.NEED_INPUT) {
+      if (token === Lexer.EOF) {
+        this.finished = true;
+        break;
+      }
+      if (token === null) {
+        throw new Error('Unable to push null token into stream');
+      }
+      if (!this.push(token)) {
+        this.pendingCallback = callback;
+        return;
+      }
+    }
+  } catch (error) {
+    return callback(error);
+  }
+
+  callback();
+};
+
+module.exports = LexerStream;
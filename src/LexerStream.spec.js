@@ -0,0 +1,93 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var stream = require('stream');
+var Lexer = require('./Lexer');
+var LexerStream = require('./LexerStream');
+
+describe('LexerStream', function() {
+  function createLexer() {
+    var lexer = new Lexer();
+    lexer.addRule(/[a-zé]+/, function (lexer) {
+      return 'WORD:' + lexer.text;
+    });
+    lexer.addRule(/\s+/);
+    lexer.addRule(Lexer.RULE_EOF, function (lexer) {
+      lexer.eofCount = (lexer.eofCount || 0) + 1;
+    });
+    return lexer;
+  }
+
+  it('#createLexerStream() should transform text chunks into tokens', function(done) {
+    var tokens = [];
+    var lexer = createLexer();
+    var source = new stream.PassThrough();
+    var target = new stream.Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write: function (token, encoding, callback) {
+        tokens.push(token);
+        setTimeout(callback, 1);
+      }
+    });
+
+    source
+      .pipe(LexerStream.createLexerStream(lexer, { highWaterMark: 1 }))
+      .pipe(target)
+      .on('finish', function () {
+        expect(tokens).to.eql(['WORD:ab', 'WORD:c', 'WORD:déf']);
+        expect(lexer.eofCount).to.equal(1);
+        done();
+      });
+
+    source.write('a');
+    source.write(Buffer.from('b c d'));
+    // multibyte char split between chunks
+    var bytes = Buffer.from('éf');
+    source.write(bytes.slice(0, 1));
+    source.end(bytes.slice(1));
+  });
+
+  it('#createLexerStream() should pause scanning when tokens are not read', function(done) {
+    var scanned = 0;
+    var lexer = new Lexer();
+    lexer.addRule(/[a-z]/, function (lexer) {
+      scanned++;
+      return lexer.text;
+    });
+    lexer.addRule(/\s+/);
+
+    var lexerStream = LexerStream.createLexerStream(lexer, { highWaterMark: 2 });
+    lexerStream.on('end', function () {
+      expect(tokens).to.eql(['a', 'b', 'c', 'd', 'e', 'f']);
+      done();
+    });
+    lexerStream.end('a b c d e f');
+
+    var tokens = [];
+    setTimeout(function () {
+      expect(scanned).to.equal(2);
+      expect(lexerStream.read()).to.equal('a');
+      expect(scanned).to.equal(3);
+      lexerStream.on('data', function (token) {
+        tokens.push(token);
+      });
+      tokens.push('a');
+    }, 10);
+  });
+
+  it('#createLexerStream() should emit lexer errors', function(done) {
+    var lexer = createLexer();
+    lexer.setNoDefault(true);
+
+    var lexerStream = LexerStream.createLexerStream(lexer);
+    lexerStream.on('data', function () {});
+    lexerStream.on('error', function (error) {
+      expect(error).to.be.instanceof(Lexer.LexerError);
+      expect(error.line).to.equal(2);
+      done();
+    });
+    lexerStream.write('ab\n');
+    lexerStream.end('1');
+  });
+});
@@ -0,0 +1,560 @@
+var Lexer = require('./Lexer');
+
+/**
+ * Parser for FLEX-like specification files.
+ *
+ * Specification has the same layout as FLEX input file: definitions section,
+ * rules section and user code section separated with "%%" lines. Actions and
+ * code blocks are JavaScript, each action is a function body with "lexer"
+ * argument.
+ *
+ * @class SpecParser
+ */
+function SpecParser() {
+  this.idRegExp = /^[a-z_][a-z0-9_-]*$/i;
+  this.posixClasses = {
+    alnum: 'a-zA-Z0-9',
+    alpha: 'a-zA-Z',
+    blank: ' \\t',
+    cntrl: '\\x00-\\x1f\\x7f',
+    digit: '0-9',
+    graph: '\\x21-\\x7e',
+    lower: 'a-z',
+    print: '\\x20-\\x7e',
+    punct: '!-\\/:-@\\[-`{-~',
+    space: ' \\t\\n\\r\\f\\v',
+    upper: 'A-Z',
+    xdigit: '0-9A-Fa-f'
+  };
+}
+
+/**
+ * Parse specification and create configured lexer.
+ *
+ * @param {string} spec Specification text.
+ *
+ * @return {Lexer} Configured lexer.
+ *
+ * @public
+ */
+SpecParser.prototype.parse = function (spec) {
+  if (typeof spec !== 'string') {
+    throw new Error('Invalid specification: should be string');
+  }
+
+  this.lines = spec.replace(/\r\n?/g, '\n').split('\n');
+  this.lineIndex = 0;
+  this.lexer = new Lexer();
+  this.code = [];
+  this.rules = [];
+
+  this.parseDefinitions();
+  this.parseRules();
+  this.code.push(this.lines.slice(this.lineIndex).join('\n'));
+
+  this.addRules(this.compileActions());
+
+  var lexer = this.lexer;
+
+  this.lines = undefined;
+  this.lexer = undefined;
+  this.code = undefined;
+  this.rules = undefined;
+
+  return lexer;
+};
+
+/**
+ * @private
+ */
+SpecParser.prototype.parseDefinitions = function () {
+  while (this.lineIndex < this.lines.length) {
+    var line = this.lines[this.lineIndex];
+
+    if (line.trim() === '%%') {
+      this.lineIndex++;
+      return;
+    }
+
+    if (line.trim() === '%{') {
+      this.code.push(this.readCodeBlock());
+      continue;
+    }
+
+    if (/^\s/.test(line) || line.substr(0, 2) === '/*') {
+      this.code.push(line);
+    } else if (line.charAt(0) === '%') {
+      this.parseDirective(line);
+    } else if (line !== '') {
+      var match = /^([^\s]+)\s+(.*)$/.exec(line);
+      if (!match || !this.idRegExp.test(match[1])) {
+        this.throwError('Invalid definition');
+      }
+      var pattern = this.readPattern(match[2].trim(), 0);
+      this.lexer.addDefinition(match[1], new RegExp(this.convertPattern(pattern)));
+    }
+
+    this.lineIndex++;
+  }
+};
+
+/**
+ * @private
+ */
+SpecParser.prototype.parseDirective = function (line) {
+  var words = line.trim().split(/\s+/);
+  var directive = words.shift();
+
+  if (directive === '%s' || directive === '%x') {
+    if (!words.length) {
+      this.throwError('Missing start condition name');
+    }
+    words.forEach(function (name) {
+      if (!this.idRegExp.test(name)) {
+        this.throwError('Invalid start condition name "' + name + '"');
+      }
+      this.lexer.addState(name, directive === '%x');
+    }, this);
+  } else if (directive === '%option') {
+    words.forEach(this.parseOption, this);
+  } else if (directive !== '%pointer' && directive !== '%array') {
+    this.throwError('Unknown directive "' + directive + '"');
+  }
+};
+
+/**
+ * @private
+ */
+SpecParser.prototype.parseOption = function (option) {
+  switch (option) {
+    case 'caseless':
+    case 'case-insensitive':
+      this.lexer.setIgnoreCase(true);
+      break;
+    case 'case-sensitive':
+      this.lexer.setIgnoreCase(false);
+      break;
+    case 'debug':
+      this.lexer.setDebugEnabled(true);
+      break;
+    case 'nodefault':
+      this.lexer.setNoDefault(true);
+      break;
+    default:
+      // other options are specific to C scanners
+      break;
+  }
+};
+
+/**
+ * @private
+ */
+SpecParser.prototype.parseRules = function () {
+  var scopeStates;
+
+  while (this.lineIndex < this.lines.length) {
+    var line = this.lines[this.lineIndex];
+
+    if (line.trim() === '%%') {
+      this.lineIndex++;
+      break;
+    }
+
+    if (line.trim() === '%{') {
+      this.code.push(this.readCodeBlock());
+      continue;
+    }
+
+    if (scopeStates && line.trim() === '}') {
+      scopeStates = undefined;
+      this.lineIndex++;
+      continue;
+    }
+
+    if (line.trim() === '') {
+      this.lineIndex++;
+      continue;
+    }
+
+    var pos = scopeStates ? line.search(/\S/) : 0;
+
+    if (!scopeStates && /^\s/.test(line)) {
+      this.code.push(line);
+      this.lineIndex++;
+      continue;
+    }
+
+    var states = scopeStates;
+    if (line.charAt(pos) === '<' && line.substr(pos, 7) !== Lexer.RULE_EOF) {
+      var end = line.indexOf('>', pos);
+      if (end === -1) {
+        this.throwError('Unterminated start condition list');
+      }
+      states = line.substring(pos + 1, end).split(',').map(function (name) {
+        return name.trim();
+      });
+      if (states.indexOf(Lexer.STATE_ANY) !== -1) {
+        states = Lexer.STATE_ANY;
+      }
+      pos = end + 1;
+
+      // start condition scope
+      if (/^\{\s*$/.test(line.substr(pos))) {
+        if (scopeStates) {
+          this.throwError('Nested start condition scopes are not supported');
+        }
+        scopeStates = states;
+        this.lineIndex++;
+        continue;
+      }
+    }
+
+    this.parseRule(line, pos, states);
+  }
+
+  if (scopeStates) {
+    this.throwError('Unterminated start condition scope');
+  }
+
+  if (this.rules.length && this.rules[this.rules.length - 1].action === '|') {
+    this.throwError('Missing action for "|" rule');
+  }
+};
+
+/**
+ * @private
+ */
+SpecParser.prototype.parseRule = function (line, pos, states) {
+  var lineNumber = this.lineIndex + 1;
+  var pattern = this.readPattern(line, pos);
+  var expression;
+
+  if (pattern === Lexer.RULE_EOF) {
+    expression = Lexer.RULE_EOF;
+  } else {
+    expression = new RegExp(this.convertPattern(pattern));
+  }
+
+  var rest = line.substr(pos + pattern.length).trim();
+  var action;
+
+  if (rest === '|') {
+    action = '|';
+  } else if (rest.charAt(0) === '{') {
+    action = this.readAction(line.indexOf('{', pos + pattern.length));
+  } else if (rest !== '' && rest !== ';') {
+    action = rest;
+  }
+
+  this.lineIndex++;
+
+  // the same action for all preceding rules with "|" action
+  if (action !== '|') {
+    for (var index = this.rules.length - 1; index >= 0 && this.rules[index].action === '|'; index--) {
+      this.rules[index].action = action;
+    }
+  }
+
+  this.rules.push({
+    states: states,
+    expression: expression,
+    action: action,
+    line: lineNumber
+  });
+};
+
+/**
+ * Read raw pattern from line until unquoted whitespace.
+ *
+ * @private
+ */
+SpecParser.prototype.readPattern = function (line, pos) {
+  if (line.substr(pos, 7) === Lexer.RULE_EOF) {
+    return Lexer.RULE_EOF;
+  }
+
+  var inQuote = false;
+  var inClass = false;
+  var index = pos;
+
+  while (index < line.length) {
+    var char = line.charAt(index);
+    if (char === '\\') {
+      index += 2;
+      continue;
+    }
+    if (inQuote) {
+      inQuote = char !== '"';
+    } else if (inClass) {
+      if (char === '[' && line.charAt(index + 1) === ':') {
+        index = line.indexOf(':]', index) + 1;
+        if (index === 0) {
+          this.throwError('Unterminated character class');
+        }
+      } else if (char === ']') {
+        inClass = false;
+      }
+    } else if (char === '"') {
+      inQuote = true;
+    } else if (char === '[') {
+      inClass = true;
+      if (line.charAt(index + 1) === '^') {
+        index++;
+      }
+      if (line.charAt(index + 1) === ']') {
+        index++;
+      }
+    } else if (char === ' ' || char === '\t') {
+      break;
+    }
+    index++;
+  }
+
+  if (inQuote) {
+    this.throwError('Unterminated string in pattern');
+  }
+  if (inClass) {
+    this.throwError('Unterminated character class');
+  }
+  if (index === pos) {
+    this.throwError('Empty pattern');
+  }
+
+  return line.substring(pos, index);
+};
+
+/**
+ * Convert FLEX pattern into JavaScript regular expression source.
+ *
+ * @private
+ */
+SpecParser.prototype.convertPattern = function (pattern) {
+  var source = '';
+  var head;
+  var index = 0;
+
+  while (index < pattern.length) {
+    var char = pattern.charAt(index);
+
+    if (char === '\\') {
+      source += pattern.substr(index, 2);
+      index += 2;
+    } else if (char === '"') {
+      index++;
+      while (pattern.charAt(index) !== '"') {
+        if (pattern.charAt(index) === '\\') {
+          var escaped = pattern.charAt(index + 1);
+          source += escaped === '"' ? '"' : pattern.substr(index, 2);
+          index += 2;
+        } else {
+          source += pattern.charAt(index).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+          index++;
+        }
+      }
+      index++;
+    } else if (char === '[') {
+      var end = index + 1;
+      source += '[';
+      if (pattern.charAt(end) === '^') {
+        source += '^';
+        end++;
+      }
+      if (pattern.charAt(end) === ']') {
+        source += '\\]';
+        end++;
+      }
+      while (pattern.charAt(end) !== ']') {
+        if (pattern.charAt(end) === '\\') {
+          source += pattern.substr(end, 2);
+          end += 2;
+        } else if (pattern.substr(end, 2) === '[:') {
+          var classEnd = pattern.indexOf(':]', end);
+          var className = pattern.substring(end + 2, classEnd);
+          if (!this.posixClasses[className]) {
+            this.throwError('Unknown character class "' + className + '"');
+          }
+          source += this.posixClasses[className];
+          end = classEnd + 2;
+        } else {
+          source += pattern.charAt(end) === '[' ? '\\[' : pattern.charAt(end);
+          end++;
+        }
+      }
+      source += ']';
+      index = end + 1;
+    } else if (char === '/') {
+      if (head !== undefined) {
+        this.throwError('Only one trailing context is allowed');
+      }
+      head = source;
+      source = '';
+      index++;
+    } else {
+      source += char;
+      index++;
+    }
+  }
+
+  // "r/s" is converted into "(?:r)(?=s)", lexer counts lookahead as a part of the match
+  if (head !== undefined) {
+    if (head.charAt(0) === '^') {
+      source = '^(?:' + head.substr(1) + ')(?=' + source + ')';
+    } else {
+      source = '(?:' + head + ')(?=' + source + ')';
+    }
+  }
+
+  return source;
+};
+
+/**
+ * Read action in braces, could be multiline.
+ *
+ * @private
+ */
+SpecParser.prototype.readAction = function (pos) {
+  var depth = 0;
+  var quote; // quote, "/" for regular expression or "*/" for comment
+  var inClass = false;
+  var body = '';
+  var line = this.lines[this.lineIndex];
+  var index = pos;
+
+  for (;;) {
+    if (index >= line.length) {
+      this.lineIndex++;
+      if (this.lineIndex >= this.lines.length) {
+        this.throwError('Unterminated action');
+      }
+      line = this.lines[this.lineIndex];
+      index = 0;
+      body += '\n';
+      continue;
+    }
+
+    var char = line.charAt(index);
+
+    if (quote === '*/') {
+      if (line.substr(index, 2) === '*/') {
+        quote = undefined;
+        body += '*/';
+        index += 2;
+        continue;
+      }
+    } else if (quote) {
+      if (char === '\\') {
+        body += line.substr(index, 2);
+        index += 2;
+        continue;
+      }
+      // slash inside character class doesn't end regular expression
+      if (quote === '/' && (char === '[' || char === ']')) {
+        inClass = char === '[';
+      } else if (char === quote && !inClass) {
+        quote = undefined;
+      }
+    } else if (char === '"' || char === '\'' || char === '`') {
+      quote = char;
+    } else if (line.substr(index, 2) === '//') {
+      body += line.substr(index);
+      index = line.length;
+      continue;
+    } else if (line.substr(index, 2) === '/*') {
+      quote = '*/';
+      body += '/*';
+      index += 2;
+      continue;
+    } else if (char === '/' && this.isRegExpStart(body)) {
+      quote = '/';
+      inClass = false;
+    } else if (char === '{') {
+      depth++;
+      if (depth === 1) {
+        index++;
+        continue;
+      }
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return body;
+      }
+    }
+
+    body += char;
+    index++;
+  }
+};
+
+/**
+ * Check if slash in action code starts regular expression instead of division.
+ *
+ * @param {string} code  Code before slash.
+ *
+ * @private
+ */
+SpecParser.prototype.isRegExpStart = function (code) {
+  return /(^|[(,=:[!&|?{};+\-*%<>~^]|\b(return|typeof|case|delete|void|in|of))\s*$/.test(code);
+};
+
+/**
+ * Read code block enclosed in "%{" and "%}" lines.
+ *
+ * @private
+ */
+SpecParser.prototype.readCodeBlock = function () {
+  var start = this.lineIndex;
+  this.lineIndex++;
+  while (this.lineIndex < this.lines.length) {
+    if (this.lines[this.lineIndex].trim() === '%}') {
+      this.lineIndex++;
+      return this.lines.slice(start + 1, this.lineIndex - 1).join('\n');
+    }
+    this.lineIndex++;
+  }
+  this.lineIndex = start;
+  this.throwError('Unterminated code block');
+};
+
+/**
+ * Compile all actions within one scope with code blocks.
+ *
+ * @private
+ */
+SpecParser.prototype.compileActions = function () {
+  var bodies = this.rules.map(function (rule) {
+    return rule.action === undefined
+      ? 'undefined'
+      : 'function (lexer) {\n' + rule.action + '\n}';
+  });
+
+  var factory;
+  try {
+    factory = new Function('Lexer', this.code.join('\n') + '\nreturn [\n' + bodies.join(',\n') + '\n];');
+  } catch (error) {
+    throw new Error('Unable to compile actions: ' + error.message);
+  }
+
+  return factory(Lexer);
+};
+
+/**
+ * @private
+ */
+SpecParser.prototype.addRules = function (actions) {
+  this.rules.forEach(function (rule, index) {
+    try {
+      this.lexer.addStateRule(rule.states, rule.expression, actions[index]);
+    } catch (error) {
+      throw new Error('Line ' + rule.line + ': ' + error.message);
+    }
+  }, this);
+};
+
+/**
+ * @private
+ */
+SpecParser.prototype.throwError = function (message) {
+  throw new Error('Line ' + (this.lineIndex + 1) + ': ' + message);
+};
+
+module.exports = SpecParser;
@@ -0,0 +1,101 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var Lexer = require('./Lexer');
+var SpecParser = require('./SpecParser');
+
+describe('SpecParser', function() {
+  it('#parse() should create configured lexer', function() {
+    var lexer = new SpecParser().parse([
+      '%{',
+      'var keywords = ["if", "then"];',
+      '%}',
+      '%option caseless noyywrap',
+      '%x str',
+      'DIGIT    [[:digit:]]',
+      'ID       [a-z_][a-z0-9_]*',
+      '%%',
+      '{DIGIT}+"."{DIGIT}*   return "FLOAT:" + lexer.text;',
+      '{DIGIT}+              return "INT:" + lexer.text;',
+      '{ID}                  {',
+      '  return isKeyword(lexer.text) ? "KEYWORD:" + lexer.text : "ID:" + lexer.text;',
+      '}',
+      '\\"                    lexer.begin("str");',
+      '<str>{',
+      '  [^"\\n]*             return "STR:" + lexer.text;',
+      '  \\"                  lexer.begin();',
+      '}',
+      '"+"                   |',
+      '"-"                   { return "OP:" + lexer.text; }',
+      '[ \\t\\n]+             ;',
+      '<*><<EOF>>            { eofs++; }',
+      '%%',
+      'var eofs = 0;',
+      'function isKeyword(text) {',
+      '  return keywords.indexOf(text.toLowerCase()) !== -1;',
+      '}'
+    ].join('\n'));
+
+    expect(lexer).to.be.an.instanceof(Lexer);
+    expect(lexer.ignoreCase).to.equal(true);
+    expect(lexer.states.str.exclusive).to.equal(true);
+
+    lexer.setSource('IF x1 then 1.5 + 2 - "a b"');
+    expect(lexer.lexAll()).to.eql([
+      'KEYWORD:IF',
+      'ID:x1',
+      'KEYWORD:then',
+      'FLOAT:1.5',
+      'OP:+',
+      'INT:2',
+      'OP:-',
+      'STR:a b'
+    ]);
+  });
+
+  it('#parse() should report line of invalid specification', function() {
+    var parser = new SpecParser();
+    expect(function () {
+      parser.parse('%%\n"abc   return 1;');
+    }).to.throw('Line 2: Unterminated string in pattern');
+    expect(function () {
+      parser.parse('%%\n<s>abc   return 1;');
+    }).to.throw('Line 2: Unable to register rule within unregistered state(s): s');
+    expect(function () {
+      parser.parse('%foo\n%%');
+    }).to.throw('Line 1: Unknown directive "%foo"');
+    expect(function () {
+      parser.parse('%%\nabc   { return 1;\n');
+    }).to.throw('Unterminated action');
+  });
+
+  it('#parse() should convert trailing context', function() {
+    var lexer = new SpecParser().parse([
+      '%%',
+      'DO/[A-Z0-9]*=[A-Z0-9]*,   return "KEYWORD:" + lexer.text;',
+      '^a|b/c                    return "AB:" + lexer.text;',
+      '[A-Z][A-Z0-9]*            return "ID:" + lexer.text;',
+      '.|\\n                     ;'
+    ].join('\n'));
+    lexer.setOutput(function () {});
+    expect(lexer.rules.INITIAL[3].expression.source).to.equal('.|\\n');
+    expect(lexer.rules.INITIAL[1].expression.source).to.equal('^(?:a|b)(?=c)');
+    lexer.setSource('DO1I=1,5 DO1I=1.5\nbc');
+    expect(lexer.lexAll()).to.eql(['KEYWORD:DO', 'ID:I', 'ID:DO1I', 'AB:b']);
+    expect(function () {
+      new SpecParser().parse('%%\na/b/c');
+    }).to.throw('Line 2: Only one trailing context is allowed');
+  });
+
+  it('#parse() should skip braces in comments and literals of action', function() {
+    var lexer = new SpecParser().parse([
+      '%%',
+      'a   { /* } */ return "A"; }',
+      'b   { /* {',
+      '      } */ return "B".replace(/[}/]/g, "") + "}" + 4 / 2; }',
+      'c   { return /{/.test("{") ? "C" : "-"; }'
+    ].join('\n'));
+    lexer.setSource('abc');
+    expect(lexer.lexAll()).to.eql(['A', 'B}2', 'C']);
+  });
+});